@@ -2,6 +2,7 @@ require('dotenv').config();
 const app = require('./src/app');
 const config = require('./src/config');
 const logger = require('./src/utils/logger');
+const sessionSweeper = require('./src/services/sessionSweeper');
 
 const PORT = config.port || 3000;
 
@@ -9,11 +10,13 @@ const server = app.listen(PORT, () => {
   logger.info(`🚀 Server running on port ${PORT}`);
   logger.info(`📱 Environment: ${config.nodeEnv}`);
   logger.info(`🔥 Firebase Project: ${config.firebase.projectId}`);
+  sessionSweeper.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  sessionSweeper.stop();
   server.close(() => {
     logger.info('Process terminated');
     process.exit(0);
@@ -5,7 +5,8 @@ require('dotenv')
 const requiredEnvVars = [
   'FIREBASE_PROJECT_ID',
   'FIREBASE_PRIVATE_KEY',
-  'FIREBASE_CLIENT_EMAIL'
+  'FIREBASE_CLIENT_EMAIL',
+  'JWT_SECRET' // Signs guest tokens and offline bundles
 ];
 
 const missingEnvVars = requiredEnvVars.filter((varName) => !process.env[varName]);
@@ -38,7 +39,7 @@ const config = {
 
   // JWT configuration
   jwt: {
-    secret: process.env.JWT_SECRET || 'your-super-secret-jwt-key',
+    secret: process.env.JWT_SECRET,
     expiresIn: process.env.JWT_EXPIRES_IN || '7d'
   },
 
@@ -290,8 +291,109 @@ const config = {
   game: {
     maxSessionDuration: 3600000, // 1 hour in milliseconds
     maxPlayersPerSession: 8,
+    joinCodeLength: 6,
+    ratings: {
+      reasonTags: ['too_awkward', 'boring', 'too_intense', 'confusing', 'bad_translation', 'loved_it'],
+      recentLimit: 20 // Latest ratings shown to admins per card
+    },
+    houseRules: {
+      maxPresets: 10 // Saved house rule presets per host
+    },
+    guests: {
+      tokenTtl: '12h', // Guest tokens only cover one night at the table
+      claimWindow: '30d' // How long a guest can still claim their history
+    },
+    offline: {
+      bundleTtlHours: 24, // How long a client may play from one bundle
+      syncGraceHours: 48, // Syncs still accepted this long after a bundle expires
+      maxEventsPerSync: 200,
+      maxSyncedEventIds: 1000 // Reconciled event IDs remembered per bundle
+    },
+    recap: {
+      shareTtlHours: 72, // Default lifetime of a public recap link
+      maxShareTtlHours: 720
+    },
+    undoDepth: 3, // Draw/complete/skip actions a host can take back
+    streamHeartbeatInterval: 25000, // Keep-alive for live session streams
+
+    // Background job ending expired/abandoned sessions and pruning old ones
+    sessionSweeper: {
+      enabled: process.env.SESSION_SWEEPER_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.SESSION_SWEEPER_INTERVAL, 10) || 60000,
+      idleTimeout: 1800000, // 30 minutes without any action
+      pausedTimeout: 86400000, // 24 hours paused
+      retentionDays: 30, // Abandoned sessions are deleted after this
+      retentionIntervalMs: 21600000 // Old sessions are cleaned up every 6 hours
+    },
     connectionLevels: 4,
     cardTypes: ['question', 'challenge', 'scenario', 'connection', 'wild'],
+
+    // Cross-session freshness: how strongly to avoid cards the players
+    // have seen in their recent sessions
+    freshness: {
+      mode: 'deprioritize', // 'off' | 'deprioritize' | 'exclude'
+      scope: 'players', // Each player's own history, or 'group' for this exact group
+      lookbackSessions: 5,
+      lookbackDays: 30,
+      seenWeight: 0.2, // Selection weight multiplier for seen cards
+      maxHistorySessions: 20 // Sessions kept per history
+    },
+
+    // Responsible-drinking safeguards for sips handed out by house rules;
+    // session configuration may tighten or loosen any of these
+    drinking: {
+      maxSipsPerHour: 12, // Sips over this are replaced by the substitute
+      hydrationEverySips: 8, // Prompt a hydration break after this many sips...
+      hydrationIntervalMinutes: 45, // ...or this long since the last break
+      substitute: 'a sip of water or a non-alcoholic drink'
+    },
+
+    // Answer timers for sessions that enable them. A card's
+    // metadata.estimatedResponseTime wins over its type's duration.
+    timers: {
+      durations: { // Seconds per card type; types left out are untimed
+        challenge: 90,
+        scenario: 120
+      },
+      graceSeconds: 5 // Leeway past the deadline before a card times out
+    },
+
+    // Default level progression; decks with features.customProgression and
+    // session configuration may override any of these
+    progression: {
+      mode: 'cards', // 'cards' | 'time' | 'manual'
+      cardsPerLevel: 5,
+      minutesPerLevel: 10,
+      countSkips: false,
+      allowHostLevelUp: true
+    },
+
+    // Card selection in drawCard (see utils/cardSelection)
+    cardSelection: {
+      strategy: 'weighted', // 'weighted' | 'uniform'
+      levelFalloff: 0.4, // Weight multiplier per level below the current one
+      skipRateWeight: 0.8, // How strongly a high skip rate lowers the weight
+      repeatTypePenalty: 0.25 // Weight multiplier for the same type twice in a row
+    },
+
+    // Points per completed card = typePoints[type] * levelMultiplier[level]
+    scoring: {
+      typePoints: {
+        question: 10,
+        challenge: 15,
+        scenario: 15,
+        connection: 20,
+        wild: 10
+      },
+      levelMultiplier: {
+        1: 1,
+        2: 1.5,
+        3: 2,
+        4: 3
+      },
+      skipPenalty: 5,
+      collaborativeTarget: 100 // Team points needed to win collaboratively
+    },
     relationshipTypes: ['friends', 'colleagues', 'new_couples', 'established_couples', 'family']
   },
 
@@ -175,6 +175,45 @@ class AdminController {
       });
   };
 
+  /**
+   * List drinking cards missing a sober variant
+   * GET /api/v1/admin/cards/missing-sober-variants?language=vn
+   */
+  adminGetCardsMissingSoberVariants = async (req, res) => {
+    const { language } = req.query;
+
+    if (language && !['en', 'vn'].includes(language)) {
+      throw new AppError('Invalid language. Supported languages: en, vn', 400);
+    }
+
+    const cards = await this.cardService.getCardsMissingSoberVariants(
+      language ? [language] : undefined
+    );
+
+    res.status(200)
+      .json({
+        status: 'success',
+        data: {
+          cards,
+          totals: cards.length
+        }
+      });
+  };
+
+  /**
+   * Get a card's rating distribution and latest ratings
+   * GET /api/v1/admin/cards/:id/ratings
+   */
+  adminGetCardRatings = async (req, res) => {
+    const ratings = await this.cardService.getCardRatings(req.params.id);
+
+    res.status(200)
+      .json({
+        status: 'success',
+        data: { ratings }
+      });
+  };
+
   /**
    * Update card
    * PATCH /api/v1/admin/cards/:id
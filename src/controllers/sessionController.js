@@ -1,5 +1,39 @@
 const SessionService = require('../services/sessionService');
+const sessionEventBus = require('../services/sessionEventBus');
+const { isSessionParticipant } = require('../models/GameSession');
+const { renderMarkdown, renderHtml } = require('../utils/recapRenderer');
 const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
+
+// Events that take a player away from the table, ending their live stream
+const PLAYER_REMOVED_EVENTS = ['player_kicked', 'player_left'];
+
+/**
+ * Send a recap in the requested format (json, markdown or html)
+ * @param {Object} res - Express response
+ * @param {Object} recap - Recap
+ * @param {string} format - Requested format
+ */
+const sendRecap = (res, recap, format = 'json') => {
+  if (format === 'markdown') {
+    res.status(200).type('text/markdown').send(renderMarkdown(recap));
+    return;
+  }
+
+  if (format === 'html') {
+    res.status(200).type('html').send(renderHtml(recap));
+    return;
+  }
+
+  if (format !== 'json') {
+    throw new AppError('Format must be json, markdown or html', 400);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: { recap }
+  });
+};
 
 class SessionController {
   constructor() {
@@ -45,6 +79,143 @@ class SessionController {
     });
   };
 
+  /**
+   * Join session lobby by code
+   * POST /api/sessions/join/:code
+   */
+  joinSession = async (req, res) => {
+    const { code } = req.params;
+
+    const session = await this.sessionService.joinSession(code, req.user.uid);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        session,
+        message: 'Joined session successfully'
+      }
+    });
+  };
+
+  /**
+   * Join session as a guest (no account)
+   * POST /api/sessions/join/:code/guest
+   */
+  joinAsGuest = async (req, res) => {
+    const { code } = req.params;
+
+    const { session, player, token } = await this.sessionService.joinAsGuest(
+      code,
+      req.body.displayName
+    );
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        session,
+        player,
+        guestToken: token,
+        message: 'Joined session as guest'
+      }
+    });
+  };
+
+  /**
+   * Add a guest player (host only)
+   * POST /api/sessions/:id/guests
+   */
+  addGuestPlayer = async (req, res) => {
+    const { id } = req.params;
+
+    // Verify session ownership
+    const session = await this.sessionService.getSessionById(id);
+    if (session.hostId !== req.user.uid) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const { player, token } = await this.sessionService.addGuestPlayer(id, req.body.displayName);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        player,
+        guestToken: token,
+        message: 'Guest added'
+      }
+    });
+  };
+
+  /**
+   * Leave session
+   * POST /api/sessions/:id/leave
+   */
+  leaveSession = async (req, res) => {
+    const { id } = req.params;
+
+    await this.sessionService.leaveSession(id, req.user.uid);
+
+    res.status(200).json({
+      status: 'success',
+      data: { message: 'Left session' }
+    });
+  };
+
+  /**
+   * Kick player from session
+   * DELETE /api/sessions/:id/players/:playerId
+   */
+  kickPlayer = async (req, res) => {
+    const { id, playerId } = req.params;
+
+    // Verify session ownership
+    const session = await this.sessionService.getSessionById(id);
+    if (session.hostId !== req.user.uid) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const updatedSession = await this.sessionService.kickPlayer(id, playerId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        message: 'Player removed',
+        players: updatedSession.players
+      }
+    });
+  };
+
+  /**
+   * Lock session lobby
+   * POST /api/sessions/:id/lobby/lock
+   */
+  lockLobby = async (req, res) => this.setLobbyLocked(req, res, true);
+
+  /**
+   * Unlock session lobby
+   * POST /api/sessions/:id/lobby/unlock
+   */
+  unlockLobby = async (req, res) => this.setLobbyLocked(req, res, false);
+
+  setLobbyLocked = async (req, res, locked) => {
+    const { id } = req.params;
+
+    // Verify session ownership
+    const session = await this.sessionService.getSessionById(id);
+    if (session.hostId !== req.user.uid) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const updatedSession = await this.sessionService.setLobbyLocked(id, locked);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        message: locked ? 'Lobby locked' : 'Lobby unlocked',
+        lobbyLocked: updatedSession.lobbyLocked
+      }
+    });
+  };
+
   /**
    * Get session by ID
    * GET /api/sessions/:id
@@ -54,8 +225,8 @@ class SessionController {
 
     const session = await this.sessionService.getSessionById(id);
 
-    // Verify user owns this session
-    if (session.hostId !== req.user.uid) {
+    // Verify user takes part in this session
+    if (!isSessionParticipant(session, req.user.uid)) {
       throw new AppError('Access denied', 403);
     }
 
@@ -65,12 +236,104 @@ class SessionController {
     });
   };
 
+  /**
+   * Get session event log
+   * GET /api/sessions/:id/events
+   */
+  getSessionEvents = async (req, res) => {
+    const { id } = req.params;
+    const { after, limit } = req.query;
+
+    const session = await this.sessionService.getSessionById(id);
+
+    // Verify user takes part in this session
+    if (!isSessionParticipant(session, req.user.uid)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const afterDate = after ? new Date(after) : null;
+    if (afterDate && Number.isNaN(afterDate.getTime())) {
+      throw new AppError('Invalid after timestamp', 400);
+    }
+
+    const events = await this.sessionService.getSessionEvents(id, {
+      after: afterDate,
+      limit: Math.min(parseInt(limit, 10) || 100, 500)
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        events,
+        count: events.length
+      }
+    });
+  };
+
+  /**
+   * Stream live session events (Server-Sent Events)
+   * GET /api/sessions/:id/stream
+   */
+  streamSession = async (req, res) => {
+    const { id } = req.params;
+
+    const session = await this.sessionService.getSessionById(id);
+
+    // Any device at the table may follow along, not just the host
+    if (!isSessionParticipant(session, req.user.uid)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      // compression() buffers responses unless explicitly flushed
+      if (typeof res.flush === 'function') res.flush();
+    };
+
+    send({
+      type: 'snapshot',
+      sessionId: id,
+      payload: { session },
+      timestamp: new Date().toISOString()
+    });
+
+    let heartbeat = null;
+    const unsubscribe = sessionEventBus.subscribe(id, (event) => {
+      send(event);
+
+      if (PLAYER_REMOVED_EVENTS.includes(event.type) && event.payload.playerId === req.user.uid) {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+      }
+    });
+    heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+      if (typeof res.flush === 'function') res.flush();
+    }, config.game.streamHeartbeatInterval);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  };
+
   /**
    * Draw next card
-   * GET /api/sessions/:id/draw-card
+   * GET /api/sessions/:id/draw-card?playerId=uid (playerId only for 'host_picks' turn order)
+   *   &partnerId=uid (a card for a pair, drawn at the lower of their levels)
    */
   drawCard = async (req, res) => {
     const { id } = req.params;
+    const { playerId, partnerId } = req.query;
 
     // Verify session ownership
     const session = await this.sessionService.getSessionById(id);
@@ -78,14 +341,17 @@ class SessionController {
       throw new AppError('Access denied', 403);
     }
 
-    const card = await this.sessionService.drawCard(id);
+    const card = await this.sessionService.drawCard(id, { playerId, partnerId });
 
     res.status(200).json({
       status: 'success',
       data: {
         card,
-        currentLevel: session.currentLevel,
-        cardsRemaining: session.availableCardPool.length - session.drawnCards.length - 1
+        playerId: card.playerId,
+        triggeredRules: card.triggeredRules,
+        currentLevel: card.currentLevel,
+        turnLevel: card.turnLevel,
+        cardsRemaining: card.cardsRemaining
       }
     });
   };
@@ -96,7 +362,7 @@ class SessionController {
    */
   completeCard = async (req, res) => {
     const { id } = req.params;
-    const { cardId } = req.body;
+    const { cardId, playerId } = req.body;
 
     if (!cardId) {
       throw new AppError('Card ID is required', 400);
@@ -108,14 +374,17 @@ class SessionController {
       throw new AppError('Access denied', 403);
     }
 
-    const updatedSession = await this.sessionService.completeCard(id, cardId);
+    const updatedSession = await this.sessionService.completeCard(id, cardId, playerId);
 
     res.status(200).json({
       status: 'success',
       data: {
-        message: 'Card completed',
+        message: updatedSession.timedOut ? 'Time ran out, card skipped' : 'Card completed',
         currentLevel: updatedSession.currentLevel,
-        completedCount: updatedSession.completedCards.length
+        completedCount: updatedSession.completedCards.length,
+        players: updatedSession.players,
+        triggeredRules: updatedSession.triggeredRules,
+        timedOut: Boolean(updatedSession.timedOut)
       }
     });
   };
@@ -126,7 +395,7 @@ class SessionController {
    */
   skipCard = async (req, res) => {
     const { id } = req.params;
-    const { cardId } = req.body;
+    const { cardId, playerId } = req.body;
 
     if (!cardId) {
       throw new AppError('Card ID is required', 400);
@@ -138,13 +407,214 @@ class SessionController {
       throw new AppError('Access denied', 403);
     }
 
-    await this.sessionService.skipCard(id, cardId);
+    const updatedSession = await this.sessionService.skipCard(id, cardId, playerId);
 
     res.status(200).json({
       status: 'success',
       data: {
         message: 'Card skipped',
-        skippedCount: session.skippedCards.length + 1
+        skippedCount: updatedSession.skippedCards.length,
+        players: updatedSession.players,
+        triggeredRules: updatedSession.triggeredRules
+      }
+    });
+  };
+
+  /**
+   * Undo the last draw, complete or skip
+   * POST /api/sessions/:id/undo
+   */
+  undoLastAction = async (req, res) => {
+    const { id } = req.params;
+
+    // Verify session ownership
+    const session = await this.sessionService.getSessionById(id);
+    if (session.hostId !== req.user.uid) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const { session: updatedSession, undone } = await this.sessionService.undoLastAction(id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        message: 'Action undone',
+        undone,
+        currentLevel: updatedSession.currentLevel,
+        players: updatedSession.players,
+        undoRemaining: (updatedSession.undoStack || []).length
+      }
+    });
+  };
+
+  /**
+   * Get a signed bundle to keep playing offline
+   * GET /api/sessions/:id/offline-bundle
+   */
+  getOfflineBundle = async (req, res) => {
+    const { id } = req.params;
+
+    // Verify session ownership
+    const session = await this.sessionService.getSessionById(id);
+    if (session.hostId !== req.user.uid) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const { bundle, signature } = await this.sessionService.createOfflineBundle(id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        bundle,
+        signature
+      }
+    });
+  };
+
+  /**
+   * Reconcile the event log kept while offline
+   * POST /api/sessions/:id/sync
+   */
+  syncOfflineEvents = async (req, res) => {
+    const { id } = req.params;
+
+    // Verify session ownership
+    const session = await this.sessionService.getSessionById(id);
+    if (session.hostId !== req.user.uid) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const {
+      results,
+      session: updatedSession
+    } = await this.sessionService.syncOfflineEvents(id, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        results,
+        conflicts: results.filter((result) => result.status === 'conflict'),
+        status: updatedSession.status,
+        currentLevel: updatedSession.currentLevel,
+        currentPlayerId: updatedSession.currentPlayerId,
+        players: updatedSession.players
+      }
+    });
+  };
+
+  /**
+   * Rate a card drawn in this session
+   * POST /api/sessions/:id/ratings
+   */
+  rateCard = async (req, res) => {
+    const { id } = req.params;
+
+    // Verify user takes part in this session
+    const session = await this.sessionService.getSessionById(id);
+    if (!isSessionParticipant(session, req.user.uid)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const result = await this.sessionService.rateCard(id, req.user.uid, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        ...result,
+        message: 'Rating saved'
+      }
+    });
+  };
+
+  /**
+   * Set the caller's own sip cap for this session
+   * POST /api/sessions/:id/sip-limit
+   */
+  setSipLimit = async (req, res) => {
+    const { id } = req.params;
+    const { maxSipsPerHour } = req.body;
+
+    const updatedSession = await this.sessionService.setSipLimit(id, req.user.uid, maxSipsPerHour);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        message: 'Sip limit updated',
+        players: updatedSession.players
+      }
+    });
+  };
+
+  /**
+   * Host-triggered level up
+   * POST /api/sessions/:id/level-up
+   */
+  levelUp = async (req, res) => {
+    const { id } = req.params;
+
+    // Verify session ownership
+    const session = await this.sessionService.getSessionById(id);
+    if (session.hostId !== req.user.uid) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const updatedSession = await this.sessionService.levelUp(id, req.body.playerId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        message: 'Level increased',
+        currentLevel: updatedSession.currentLevel,
+        players: updatedSession.players,
+        triggeredRules: updatedSession.triggeredRules
+      }
+    });
+  };
+
+  /**
+   * Pause session
+   * POST /api/sessions/:id/pause
+   */
+  pauseSession = async (req, res) => {
+    const { id } = req.params;
+
+    // Verify session ownership
+    const session = await this.sessionService.getSessionById(id);
+    if (session.hostId !== req.user.uid) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const updatedSession = await this.sessionService.pauseSession(id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        message: 'Session paused',
+        pausedAt: updatedSession.pausedAt
+      }
+    });
+  };
+
+  /**
+   * Resume session
+   * POST /api/sessions/:id/resume
+   */
+  resumeSession = async (req, res) => {
+    const { id } = req.params;
+
+    // Verify session ownership
+    const session = await this.sessionService.getSessionById(id);
+    if (session.hostId !== req.user.uid) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const updatedSession = await this.sessionService.resumeSession(id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        message: 'Session resumed',
+        pauseDuration: updatedSession.analytics?.pauseDuration || 0
       }
     });
   };
@@ -162,17 +632,163 @@ class SessionController {
       throw new AppError('Access denied', 403);
     }
 
-    const statistics = await this.sessionService.endSession(id);
+    const { statistics, result } = await this.sessionService.endSession(id);
 
     res.status(200).json({
       status: 'success',
       data: {
         message: 'Session ended',
-        statistics
+        statistics,
+        standings: result.standings,
+        winner: result.winner,
+        result
+      }
+    });
+  };
+
+  /**
+   * Start a rematch of a finished session
+   * POST /api/sessions/:id/rematch
+   */
+  rematchSession = async (req, res) => {
+    const { id } = req.params;
+    const { startAtPreviousLevel } = req.body;
+
+    // Verify session ownership
+    const session = await this.sessionService.getSessionById(id);
+    if (session.hostId !== req.user.uid) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const rematch = await this.sessionService.rematchSession(id, {
+      startAtPreviousLevel: startAtPreviousLevel === true
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        session: rematch,
+        message: 'Rematch started successfully'
+      }
+    });
+  };
+
+  /**
+   * Get the rematch series a session belongs to
+   * GET /api/sessions/:id/series
+   */
+  getSessionSeries = async (req, res) => {
+    const { id } = req.params;
+
+    const session = await this.sessionService.getSessionById(id);
+
+    // Verify user takes part in this session
+    if (!isSessionParticipant(session, req.user.uid)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const sessions = await this.sessionService.getSessionSeries(session);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        seriesId: session.seriesId || session.id,
+        sessions: sessions.map((s) => ({
+          id: s.id,
+          seriesIndex: s.seriesIndex || 1,
+          status: s.status,
+          currentLevel: s.currentLevel,
+          startedAt: s.startedAt,
+          endedAt: s.endedAt,
+          result: s.result
+        }))
+      }
+    });
+  };
+
+  /**
+   * Get recap of a finished session
+   * GET /api/sessions/:id/recap?format=json|markdown|html
+   */
+  getSessionRecap = async (req, res) => {
+    const { id } = req.params;
+
+    const session = await this.sessionService.getSessionById(id);
+
+    // Verify user takes part in this session
+    if (!isSessionParticipant(session, req.user.uid)) {
+      throw new AppError('Access denied', 403);
+    }
+
+    const recap = await this.sessionService.getSessionRecap(id);
+
+    sendRecap(res, recap, req.query.format);
+  };
+
+  /**
+   * Get a publicly shared recap (no authentication)
+   * GET /api/sessions/shared/:token?format=json|markdown|html
+   */
+  getSharedRecap = async (req, res) => {
+    const recap = await this.sessionService.getSharedRecap(req.params.token);
+
+    sendRecap(res, recap, req.query.format);
+  };
+
+  /**
+   * Create a public share link for a session recap
+   * POST /api/sessions/:id/share
+   */
+  createShareLink = async (req, res) => {
+    const { id } = req.params;
+    const { expiresInHours } = req.body;
+
+    // Verify session ownership
+    const session = await this.sessionService.getSessionById(id);
+    if (session.hostId !== req.user.uid) {
+      throw new AppError('Access denied', 403);
+    }
+
+    if (expiresInHours !== undefined && !(Number(expiresInHours) > 0)) {
+      throw new AppError('expiresInHours must be a positive number', 400);
+    }
+
+    const share = await this.sessionService.createShareLink(
+      id,
+      expiresInHours !== undefined ? Number(expiresInHours) : undefined
+    );
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        token: share.token,
+        expiresAt: share.expiresAt,
+        path: `/api/v1/sessions/shared/${share.token}`
       }
     });
   };
 
+  /**
+   * Revoke the public share link of a session recap
+   * DELETE /api/sessions/:id/share
+   */
+  revokeShareLink = async (req, res) => {
+    const { id } = req.params;
+
+    // Verify session ownership
+    const session = await this.sessionService.getSessionById(id);
+    if (session.hostId !== req.user.uid) {
+      throw new AppError('Access denied', 403);
+    }
+
+    await this.sessionService.revokeShareLink(id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Share link revoked'
+    });
+  };
+
   /**
    * Get user's active sessions
    * GET /api/sessions/active
@@ -1,11 +1,15 @@
 const UserService = require('../services/userService');
 const DeckService = require('../services/deckService');
+const CardHistoryService = require('../services/cardHistoryService');
+const SessionService = require('../services/sessionService');
 const { AppError } = require('../middleware/errorHandler');
 
 class UserController {
   constructor() {
     this.userService = new UserService();
     this.deckService = new DeckService();
+    this.cardHistoryService = new CardHistoryService();
+    this.sessionService = new SessionService();
   }
 
   getProfile = async (req, res) => {
@@ -138,6 +142,70 @@ class UserController {
     });
   };
 
+  resetCardHistory = async (req, res) => {
+    const cleared = await this.cardHistoryService.resetHistory(req.user.uid);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        cleared,
+        message: 'Card history reset'
+      }
+    });
+  };
+
+  getHouseRulePresets = async (req, res) => {
+    const presets = await this.userService.getHouseRulePresets(req.user.uid);
+
+    res.status(200).json({
+      status: 'success',
+      data: { presets }
+    });
+  };
+
+  saveHouseRulePreset = async (req, res) => {
+    const preset = await this.userService.saveHouseRulePreset(
+      req.user.uid,
+      req.params.name,
+      req.body.rules
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        preset,
+        message: 'House rule preset saved'
+      }
+    });
+  };
+
+  deleteHouseRulePreset = async (req, res) => {
+    await this.userService.deleteHouseRulePreset(req.user.uid, req.params.name);
+
+    res.status(200).json({
+      status: 'success',
+      data: { message: 'House rule preset deleted' }
+    });
+  };
+
+  claimGuestHistory = async (req, res) => {
+    const { guestToken } = req.body;
+
+    if (!guestToken) {
+      throw new AppError('Guest token is required', 400);
+    }
+
+    const session = await this.sessionService.claimGuestHistory(guestToken, req.user.uid);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sessionId: session.id,
+        message: 'Guest history claimed'
+      }
+    });
+  };
+
   deleteAccount = async (req, res) => {
     await this.userService.deleteUser(req.user.uid);
 
@@ -1,5 +1,6 @@
 const { auth } = require('../config/firebase');
 const { AppError } = require('./errorHandler');
+const { verifyGuestToken } = require('../utils/guestToken');
 const logger = require('../utils/logger');
 
 const authenticateUser = async (req, res, next) => {
@@ -30,6 +31,38 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+// Like authenticateUser, but also accepts guest tokens issued for a session
+const authenticateUserOrGuest = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const guest = authHeader && authHeader.startsWith('Bearer ')
+    ? verifyGuestToken(authHeader.split(' ')[1])
+    : null;
+
+  if (guest) {
+    req.user = guest;
+    return next();
+  }
+
+  return authenticateUser(req, res, next);
+};
+
+// Route param handler: guests may only reach the session their token is for
+const restrictGuestToSession = (req, res, next, sessionId) => {
+  if (req.user && req.user.isGuest && req.user.sessionId !== sessionId) {
+    return next(new AppError('Access denied', 403));
+  }
+
+  return next();
+};
+
+const requireRegisteredUser = (req, res, next) => {
+  if (!req.user || req.user.isGuest) {
+    return next(new AppError('A registered account is required', 403));
+  }
+
+  return next();
+};
+
 const requireAdmin = async (req, res, next) => {
   try {
     if (!req.user) {
@@ -65,6 +98,9 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateUser,
+  authenticateUserOrGuest,
+  restrictGuestToSession,
+  requireRegisteredUser,
   requireAdmin,
   optionalAuth
 };
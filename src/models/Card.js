@@ -17,6 +17,33 @@ const cardSchema = Joi.object({
   })
     .required(),
 
+  // Cards that involve drinking need an alcohol-free alternative
+  // (per language) to be dealt in sober mode
+  involvesDrinking: Joi.boolean()
+    .default(false),
+  soberContent: Joi.object({
+    en: Joi.string()
+      .min(10)
+      .max(500)
+      .optional(),
+    vn: Joi.string()
+      .min(10)
+      .max(500)
+      .optional()
+  })
+    .optional(),
+
+  // Play hints; estimatedResponseTime (seconds) sets the card's answer timer
+  metadata: Joi.object({
+    estimatedResponseTime: Joi.number()
+      .integer()
+      .min(5)
+      .max(600)
+      .optional()
+  })
+    .unknown()
+    .optional(),
+
   // Card classification
   type: Joi.string()
     .valid('question', 'challenge', 'scenario', 'connection', 'wild')
@@ -97,6 +124,11 @@ const cardSchema = Joi.object({
       .min(0)
       .max(1)
       .default(0),
+    // Skip count behind skipRate (see applyCardSkip)
+    timesSkipped: Joi.number()
+      .integer()
+      .min(0)
+      .optional(),
     languageUsage: Joi.object({
       en: Joi.number()
         .integer()
@@ -118,7 +150,30 @@ const cardSchema = Joi.object({
     feedbackCount: Joi.number()
       .integer()
       .min(0)
-      .default(0)
+      .default(0),
+    // Rating aggregates kept alongside averageRating (see applyCardRating)
+    ratingSum: Joi.number()
+      .min(0)
+      .optional(),
+    ratingDistribution: Joi.object()
+      .optional(), // Ratings per star count '1'..'5'
+    reasonCounts: Joi.object()
+      .optional(), // Ratings per reason tag
+    // Answer time aggregates (see applyCardTiming), times in milliseconds
+    timedPlays: Joi.number()
+      .integer()
+      .min(0)
+      .optional(),
+    totalResponseTime: Joi.number()
+      .min(0)
+      .optional(),
+    averageResponseTime: Joi.number()
+      .min(0)
+      .optional(),
+    timeouts: Joi.number()
+      .integer()
+      .min(0)
+      .optional()
   })
     .default({
       timesDrawn: 0,
@@ -187,6 +242,33 @@ const cardUpdateSchema = Joi.object({
   })
     .required(),
 
+  // Cards that involve drinking need an alcohol-free alternative
+  // (per language) to be dealt in sober mode
+  involvesDrinking: Joi.boolean()
+    .optional(),
+  soberContent: Joi.object({
+    en: Joi.string()
+      .min(10)
+      .max(500)
+      .optional(),
+    vn: Joi.string()
+      .min(10)
+      .max(500)
+      .optional()
+  })
+    .optional(),
+
+  // Play hints; estimatedResponseTime (seconds) sets the card's answer timer
+  metadata: Joi.object({
+    estimatedResponseTime: Joi.number()
+      .integer()
+      .min(5)
+      .max(600)
+      .optional()
+  })
+    .unknown()
+    .optional(),
+
   // Card classification
   type: Joi.string()
     .valid('question', 'challenge', 'scenario', 'connection', 'wild')
@@ -259,13 +341,40 @@ function validateCard(cardData, isUpdate = false) {
   return (isUpdate ? cardUpdateSchema : cardSchema).validate(cardData, { abortEarly: false });
 }
 
+/**
+ * Get the alcohol-free alternative in specified language with fallback
+ * @param {Object} card - Card object
+ * @param {string} language - Preferred language
+ * @returns {string|null} Sober content, or null if the card has none
+ */
+function getSoberContent(card, language = 'en') {
+  const soberContent = card.soberContent || {};
+
+  return soberContent[language] || soberContent.en || null;
+}
+
+/**
+ * Check if card may be dealt in a sober-mode game
+ * @param {Object} card - Card object
+ * @param {string} language - Session language
+ * @returns {boolean} True if it needs no alternative or has one
+ */
+function hasSoberVariant(card, language = 'en') {
+  return !card.involvesDrinking || Boolean(getSoberContent(card, language));
+}
+
 /**
  * Get content in specified language with fallback
  * @param {Object} card - Card object
  * @param {string} language - Preferred language
+ * @param {boolean} soberMode - Use the alcohol-free alternative for drinking cards
  * @returns {string} Card content
  */
-function getCardContent(card, language = 'en') {
+function getCardContent(card, language = 'en', soberMode = false) {
+  if (soberMode && card.involvesDrinking && getSoberContent(card, language)) {
+    return getSoberContent(card, language);
+  }
+
   if (typeof card.content === 'string') {
     return card.content; // Legacy format
   }
@@ -273,6 +382,15 @@ function getCardContent(card, language = 'en') {
   return card.content[language] || card.content.en || '';
 }
 
+/**
+ * Check if card may be dealt in a game (legacy cards have no status)
+ * @param {Object} card - Card object
+ * @returns {boolean} Is playable
+ */
+function isPlayableCard(card) {
+  return Boolean(card) && (!card.status || card.status === 'active');
+}
+
 /**
  * Calculate content hash for duplication detection
  * @param {string} content - Card content
@@ -338,8 +456,175 @@ function prepareCardForDB(cardData) {
   return prepared;
 }
 
+/**
+ * Content filter schema, shared by user preferences and session configuration
+ */
+const contentFilterSchema = Joi.object({
+  excludedContentWarnings: Joi.array()
+    .items(Joi.string())
+    .default([]),
+  excludedCategories: Joi.array()
+    .items(Joi.string())
+    .default([]),
+  // Omitted means every type is allowed
+  allowedCardTypes: Joi.array()
+    .items(Joi.string()
+      .valid('question', 'challenge', 'scenario', 'connection', 'wild'))
+    .min(1)
+    .optional(),
+  maxConnectionLevel: Joi.number()
+    .integer()
+    .min(1)
+    .max(4)
+    .optional()
+});
+
+/**
+ * Merge content filters so that every filter's exclusions apply
+ * (used to combine the host's preferences with the session's filters)
+ * @param {...Object} filters - Content filters, any of which may be empty
+ * @returns {Object} Merged filters
+ */
+function mergeContentFilters(...filters) {
+  const present = filters.filter(Boolean);
+  const merged = {
+    excludedContentWarnings: [...new Set(present.flatMap((f) => f.excludedContentWarnings || []))],
+    excludedCategories: [...new Set(present.flatMap((f) => f.excludedCategories || []))]
+  };
+
+  const typeLists = present.map((f) => f.allowedCardTypes).filter(Boolean);
+  if (typeLists.length > 0) {
+    merged.allowedCardTypes = typeLists.reduce(
+      (allowed, types) => allowed.filter((type) => types.includes(type))
+    );
+  }
+
+  const maxLevels = present.map((f) => f.maxConnectionLevel).filter(Boolean);
+  if (maxLevels.length > 0) {
+    merged.maxConnectionLevel = Math.min(...maxLevels);
+  }
+
+  return merged;
+}
+
+/**
+ * Check whether a card (or card pool entry) passes content filters
+ * @param {Object} card - Card with type, connectionLevel, contentWarnings, categories
+ * @param {Object} filters - Content filters
+ * @returns {boolean} True if the card may be played
+ */
+function matchesContentFilters(card, filters) {
+  if (!filters) {
+    return true;
+  }
+
+  const warnings = card.contentWarnings || [];
+  const categories = card.categories || [];
+
+  return !(filters.excludedContentWarnings || []).some((warning) => warnings.includes(warning))
+    && !(filters.excludedCategories || []).some((category) => categories.includes(category))
+    && (!filters.allowedCardTypes || filters.allowedCardTypes.includes(card.type))
+    && (!filters.maxConnectionLevel || card.connectionLevel <= filters.maxConnectionLevel);
+}
+
+/**
+ * Fold a player's rating into card statistics. A player re-rating a card
+ * in the same session replaces their previous rating.
+ * @param {Object} statistics - Current card statistics
+ * @param {Object} rating - { stars, reasons }
+ * @param {Object} previous - The player's previous rating, if any
+ * @returns {Object} Updated rating statistics
+ */
+function applyCardRating(statistics, rating, previous = null) {
+  const current = statistics || {};
+  const ratingDistribution = {
+    1: 0, 2: 0, 3: 0, 4: 0, 5: 0, ...current.ratingDistribution
+  };
+  const reasonCounts = { ...current.reasonCounts };
+  let ratingSum = current.ratingSum || 0;
+  let feedbackCount = current.feedbackCount || 0;
+
+  if (previous) {
+    ratingDistribution[previous.stars] = Math.max(0, ratingDistribution[previous.stars] - 1);
+    (previous.reasons || []).forEach((reason) => {
+      reasonCounts[reason] = Math.max(0, (reasonCounts[reason] || 0) - 1);
+    });
+    ratingSum -= previous.stars;
+    feedbackCount -= 1;
+  }
+
+  ratingDistribution[rating.stars] += 1;
+  (rating.reasons || []).forEach((reason) => {
+    reasonCounts[reason] = (reasonCounts[reason] || 0) + 1;
+  });
+  ratingSum += rating.stars;
+  feedbackCount += 1;
+
+  return {
+    averageRating: Math.round((ratingSum / feedbackCount) * 100) / 100,
+    feedbackCount,
+    ratingSum,
+    ratingDistribution,
+    reasonCounts
+  };
+}
+
+/**
+ * Fold the time a card took to play into card statistics
+ * @param {Object} statistics - Current card statistics
+ * @param {Object} timing - { responseTime, timedOut } from the session's card timer
+ * @param {boolean} revert - Take a previously recorded timing back out (undo)
+ * @returns {Object} Updated timing statistics
+ */
+function applyCardTiming(statistics, timing, revert = false) {
+  const current = statistics || {};
+  const sign = revert ? -1 : 1;
+  const timedPlays = Math.max(0, (current.timedPlays || 0) + sign);
+  const totalResponseTime = Math.max(
+    0,
+    (current.totalResponseTime || 0) + (sign * timing.responseTime)
+  );
+
+  return {
+    timedPlays,
+    totalResponseTime,
+    averageResponseTime: timedPlays > 0 ? Math.round(totalResponseTime / timedPlays) : 0,
+    timeouts: Math.max(0, (current.timeouts || 0) + (timing.timedOut ? sign : 0))
+  };
+}
+
+/**
+ * Count a skip of a card that was already counted as drawn
+ * @param {Object} statistics - Current card statistics
+ * @param {boolean} revert - Take a previously recorded skip back out (undo)
+ * @returns {Object} Updated skip statistics
+ */
+function applyCardSkip(statistics, revert = false) {
+  const current = statistics || {};
+  const timesDrawn = current.timesDrawn || 0;
+  // Cards skipped before the count was kept only have a rate
+  const previousSkips = current.timesSkipped !== undefined
+    ? current.timesSkipped
+    : Math.round((current.skipRate || 0) * timesDrawn);
+  const timesSkipped = Math.max(0, previousSkips + (revert ? -1 : 1));
+
+  return {
+    timesSkipped,
+    skipRate: timesSkipped > 0 ? Math.min(1, timesSkipped / Math.max(timesDrawn, 1)) : 0
+  };
+}
+
 module.exports = {
   cardSchema,
+  contentFilterSchema,
+  mergeContentFilters,
+  matchesContentFilters,
   validateCard,
-  getCardContent
+  getCardContent,
+  getSoberContent,
+  hasSoberVariant,
+  applyCardRating,
+  applyCardTiming,
+  applyCardSkip,
+  isPlayableCard
 };
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { ProgressionSchema } = require('./GameSession');
 
 const MultilingualTextSchema = Joi.object({
   en: Joi.string().required(),
@@ -15,6 +16,8 @@ const DeckStatisticsSchema = Joi.object({
   purchases: Joi.number().integer().min(0).default(0),
   sessionsPlayed: Joi.number().integer().min(0).default(0),
   averageCompletion: Joi.number().min(0).max(1).default(0),
+  averageSessionDuration: Joi.number().min(0).default(0), // active play time, ms
+  completedPlaythroughs: Joi.number().integer().min(0).default(0), // requiresAllCards decks
   rating: Joi.number().min(1).max(5).optional(),
   lastPlayedAt: Joi.date().optional()
 });
@@ -46,7 +49,8 @@ const DeckSchema = Joi.object({
     allowMixing: Joi.boolean().default(true), // Can be mixed with other decks
     requiresAllCards: Joi.boolean().default(false), // Must play all cards
     customProgression: Joi.boolean().default(false) // Has custom level progression
-  }).default({})
+  }).default({}),
+  progression: ProgressionSchema.optional() // Used when features.customProgression is set
 }).required();
 
 const validateDeck = (deckData) => DeckSchema.validate(deckData);
@@ -1,4 +1,10 @@
 const Joi = require('joi');
+const crypto = require('crypto');
+const { contentFilterSchema, matchesContentFilters } = require('./Card');
+const { excludeSeenCards } = require('../utils/freshness');
+
+// Unambiguous characters only, so codes can be read aloud across a table
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
 
 const PlayerSchema = Joi.object({
   userId: Joi.string().required(),
@@ -6,21 +12,105 @@ const PlayerSchema = Joi.object({
   connectionLevel: Joi.number().integer().min(1).max(4)
     .default(1),
   points: Joi.number().integer().min(0).default(0),
-  isActive: Joi.boolean().default(true)
+  isActive: Joi.boolean().default(true),
+  // Guests have a generated 'guest_' ID instead of a user account
+  isGuest: Joi.boolean().default(false),
+  maxSipsPerHour: Joi.number().integer().min(0).max(30)
+    .optional(), // Personal cap below the session's; 0 = not drinking
+  claimedFrom: Joi.string().optional() // Guest ID, once claimed by a registered user
+});
+
+// Unset fields fall back to the deck's rules, then config.game.progression
+const ProgressionSchema = Joi.object({
+  mode: Joi.string().valid('cards', 'time', 'manual'),
+  cardsPerLevel: Joi.number().integer().min(1).max(50),
+  minutesPerLevel: Joi.number().min(1).max(120),
+  countSkips: Joi.boolean(),
+  allowHostLevelUp: Joi.boolean()
+});
+
+// Unset fields fall back to config.game.freshness
+const FreshnessSchema = Joi.object({
+  mode: Joi.string().valid('off', 'deprioritize', 'exclude'),
+  scope: Joi.string().valid('players', 'group'),
+  lookbackSessions: Joi.number().integer().min(1).max(20),
+  lookbackDays: Joi.number().integer().min(0).max(365) // 0 = no age limit
+});
+
+// House rule: when an event happens (optionally only for some card types
+// or levels), the targeted players drink, gain/lose points or pass the turn
+const HouseRuleSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50)
+    .required(),
+  on: Joi.string().valid('card_drawn', 'card_completed', 'card_skipped', 'level_up').required(),
+  when: Joi.object({
+    cardTypes: Joi.array().items(
+      Joi.string().valid('question', 'challenge', 'scenario', 'connection', 'wild')
+    ).min(1),
+    // Card level for card events, level reached for level_up
+    levels: Joi.array().items(Joi.number().integer().min(1).max(4)).min(1)
+  }).default({}),
+  target: Joi.string().valid('player', 'others', 'everyone').default('player'),
+  sips: Joi.number().integer().min(0).max(10)
+    .default(0),
+  points: Joi.number().integer().min(-100).max(100)
+    .default(0),
+  passTurn: Joi.boolean().default(false)
+});
+
+// Unset fields fall back to config.game.drinking
+const DrinkingSchema = Joi.object({
+  maxSipsPerHour: Joi.number().integer().min(0).max(30),
+  hydrationEverySips: Joi.number().integer().min(1).max(50),
+  hydrationIntervalMinutes: Joi.number().integer().min(5).max(240),
+  substitute: Joi.string().trim().min(1).max(100)
+});
+
+// Unset fields fall back to config.game.timers
+const TimerSchema = Joi.object({
+  enabled: Joi.boolean().default(false),
+  autoSkip: Joi.boolean().default(false), // Skip cards whose timer ran out
+  durations: Joi.object().pattern(
+    Joi.string().valid('question', 'challenge', 'scenario', 'connection', 'wild'),
+    Joi.number().integer().min(10).max(600)
+  ), // Seconds per card type
+  graceSeconds: Joi.number().integer().min(0).max(60)
+});
+
+// Either inline rules or the name of one of the host's saved presets
+const CustomRulesSchema = Joi.object({
+  preset: Joi.string().trim().max(50)
+    .optional(),
+  rules: Joi.array().items(HouseRuleSchema).max(20)
+    .default([])
 });
 
 const GameConfigurationSchema = Joi.object({
-  contentFilters: Joi.object().default({}),
+  contentFilters: contentFilterSchema.default({}),
   includeUnassignedCards: Joi.boolean().default(false), // Include cards not in any deck
   maxDuration: Joi.number().integer().min(900000).max(7200000)
     .optional(), // 15min - 2hrs
   winCondition: Joi.string().valid('first_to_level_4', 'highest_points', 'collaborative').default('first_to_level_4'),
-  customRules: Joi.object().optional()
+  selectionStrategy: Joi.string().valid('weighted', 'uniform').optional(),
+  selectionSeed: Joi.alternatives().try(Joi.number(), Joi.string()).optional(), // Replayable draws
+  progression: ProgressionSchema.optional(),
+  freshness: FreshnessSchema.optional(), // Avoid cards the players saw recently
+  turnOrder: Joi.string().valid('sequential', 'random', 'host_picks').default('sequential'),
+  collaborativeTarget: Joi.number().integer().min(1).optional(), // Team points to win together
+  undoDepth: Joi.number().integer().min(0).max(10)
+    .optional(), // Actions the host can undo; 0 disables undo
+  soberMode: Joi.boolean().default(false), // Alcohol-free: sober card variants, no sips
+  // 'player': each player has their own level that progresses on their own
+  levelMode: Joi.string().valid('session', 'player').default('session'),
+  customRules: CustomRulesSchema.optional(), // House rules
+  drinking: DrinkingSchema.optional(), // Pacing limits for house-rule sips
+  timers: TimerSchema.optional() // Answer timers
 });
 
 const GameSessionSchema = Joi.object({
   id: Joi.string().optional(),
   hostId: Joi.string().required(),
+  version: Joi.number().integer().min(0).default(0), // Bumped by every write
 
   // Core game settings
   relationshipType: Joi.string()
@@ -36,6 +126,14 @@ const GameSessionSchema = Joi.object({
   // Game state
   currentLevel: Joi.number().integer().min(1).max(4)
     .default(1),
+  progression: ProgressionSchema.optional(), // Resolved rules, set at start
+  contentFilters: contentFilterSchema.optional(), // Host's and session's filters merged at start
+  freshness: FreshnessSchema.optional(), // Resolved rules, set at start
+  houseRules: Joi.array().items(HouseRuleSchema).default([]), // Resolved from customRules at start
+  drinking: DrinkingSchema.optional(), // Resolved rules, set at start
+  sipLedger: Joi.object().default({}), // Sips, substitutions and breaks keyed by player
+  timers: TimerSchema.optional(), // Resolved rules, set at start
+  seenCardIds: Joi.array().items(Joi.string()).default([]), // Recently seen by the players
   status: Joi.string().valid('waiting', 'active', 'paused', 'completed').default('waiting'),
 
   // Card tracking
@@ -46,16 +144,99 @@ const GameSessionSchema = Joi.object({
   // NEW: Pre-filtered card pool
   availableCardPool: Joi.array().items(Joi.string()).default([]),
 
-  // Players (optional for future multiplayer)
+  // Card metadata snapshotted at start, bucketed by connection level ('1'..'4')
+  cardPool: Joi.object().pattern(
+    Joi.string().valid('1', '2', '3', '4'),
+    Joi.array().items(Joi.object({
+      id: Joi.string().required(),
+      type: Joi.string().required(),
+      connectionLevel: Joi.number().integer().min(1).max(4)
+        .required(),
+      tier: Joi.string().valid('FREE', 'PREMIUM').default('FREE'),
+      contentWarnings: Joi.array().items(Joi.string()).default([]),
+      categories: Joi.array().items(Joi.string()).default([]),
+      deckIds: Joi.array().items(Joi.string()).default([]),
+      statistics: Joi.object({
+        skipRate: Joi.number().min(0).max(1).default(0)
+      }).default({})
+    }).unknown())
+  ).optional(),
+  // Pool cards found archived or deleted mid-session
+  retiredCardIds: Joi.array().items(Joi.string()).default([]),
+  // Decks with features.requiresAllCards; the session only counts as
+  // complete once every pool card of these decks was played
+  requiredDeckIds: Joi.array().items(Joi.string()).default([]),
+  isComplete: Joi.boolean().optional(), // Set by endSession
+
+  // Players (host is always the first player)
   players: Joi.array().items(PlayerSchema).default([]),
 
+  // Draw history used by card selection
+  drawnTypeCounts: Joi.object().pattern(Joi.string(), Joi.number().integer().min(0)).default({}),
+  lastDrawnType: Joi.string().optional(),
+
+  // Turns: whose turn it is, and which player each drawn card was for
+  currentPlayerId: Joi.string().optional(),
+  cardAssignments: Joi.object().pattern(Joi.string(), Joi.string()).default({}),
+  // Per drawn card: startedAt, durationSeconds and deadline (timed cards),
+  // pausedTime, then finishedAt, responseTime (ms) and timedOut once played
+  cardTimers: Joi.object().pattern(Joi.string(), Joi.object()).default({}),
+
+  // Most recent draw/complete/skip actions with the state before each, newest last
+  undoStack: Joi.array().items(Joi.object({
+    action: Joi.string().valid('draw', 'complete', 'skip').required(),
+    cardId: Joi.string().required(),
+    playerId: Joi.string().allow(null),
+    createdAt: Joi.date().required(),
+    previous: Joi.object().required()
+  })).default([]),
+
+  // Scoring
+  result: Joi.object().optional(), // Final standings, set by endSession
+  firstToMaxLevel: Joi.object({
+    playerId: Joi.string().required(),
+    reachedAt: Joi.date().required()
+  }).optional(),
+
+  // Rematch series: sessions played back to back by the same table
+  seriesId: Joi.string().optional(), // ID of the first session of the series
+  seriesIndex: Joi.number().integer().min(1).optional(),
+  previousSessionId: Joi.string().optional(),
+  rematchSessionId: Joi.string().optional(),
+  rematchPending: Joi.boolean().default(false), // A rematch is being created
+
+  // Public recap link (opt-in, expires)
+  share: Joi.object({
+    token: Joi.string().required(),
+    createdAt: Joi.date().required(),
+    expiresAt: Joi.date().required()
+  }).allow(null).optional(),
+
+  // Offline play: the latest bundle handed to the host's client, with the
+  // client event IDs already reconciled from it (so a retried sync is a no-op)
+  offlineBundle: Joi.object({
+    id: Joi.string().required(),
+    signature: Joi.string().required(),
+    issuedAt: Joi.date().required(),
+    expiresAt: Joi.date().required(),
+    cardIds: Joi.array().items(Joi.string()).default([]),
+    syncedEventIds: Joi.array().items(Joi.string()).default([])
+  }).allow(null).optional(),
+
+  // Lobby
+  joinCode: Joi.string().uppercase().optional(),
+  lobbyLocked: Joi.boolean().default(false),
+  kickedPlayerIds: Joi.array().items(Joi.string()).default([]),
+
   // Configuration
   configuration: GameConfigurationSchema.default({}),
 
   // Session metadata
   startedAt: Joi.date().default(() => new Date()),
   endedAt: Joi.date().optional(),
+  endReason: Joi.string().valid('host', 'max_duration', 'idle').optional(),
   pausedAt: Joi.date().optional(),
+  archived: Joi.boolean().default(false), // Played and kept past retention
 
   // Analytics data
   analytics: Joi.object({
@@ -68,6 +249,159 @@ const GameSessionSchema = Joi.object({
 
 const validateGameSession = (sessionData) => GameSessionSchema.validate(sessionData);
 
+/**
+ * Convert a stored date (Date, string or Firestore Timestamp) to a Date
+ * @param {*} value - Stored value
+ * @returns {Date} Date
+ */
+const toDate = (value) => (value && typeof value.toDate === 'function'
+  ? value.toDate()
+  : new Date(value));
+
+/**
+ * Calculate total paused time, including a pause still in progress
+ * @param {Object} session - Session object
+ * @param {Date} now - Reference time
+ * @returns {number} Pause duration in milliseconds
+ */
+const calculatePauseDuration = (session, now = new Date()) => {
+  const recorded = (session.analytics || {}).pauseDuration || 0;
+  if (session.status !== 'paused' || !session.pausedAt) {
+    return recorded;
+  }
+
+  return recorded + Math.max(0, new Date(now) - toDate(session.pausedAt));
+};
+
+/**
+ * Calculate active play time (wall-clock time minus pauses)
+ * @param {Object} session - Session object
+ * @param {Date} now - Reference time, used when session has not ended
+ * @returns {number} Active duration in milliseconds
+ */
+const calculateActiveDuration = (session, now = new Date()) => {
+  const end = session.endedAt ? toDate(session.endedAt) : new Date(now);
+  const elapsed = end - toDate(session.startedAt);
+
+  return Math.max(0, elapsed - calculatePauseDuration(session, end));
+};
+
+/**
+ * Calculate how far the session got through each selected deck
+ * @param {Object} session - Session object
+ * @returns {Object} Progress keyed by deck ID
+ */
+const calculateDeckProgress = (session) => {
+  const drawn = new Set(session.drawnCards || []);
+  const retired = new Set(session.retiredCardIds || []);
+  const required = new Set(session.requiredDeckIds || []);
+  const entries = Object.values(session.cardPool || {})
+    .flat()
+    .filter((entry) => !retired.has(entry.id));
+
+  return (session.selectedDeckIds || []).reduce((progress, deckId) => {
+    const deckEntries = entries.filter((entry) => (entry.deckIds || []).includes(deckId));
+    const playedCards = deckEntries.filter((entry) => drawn.has(entry.id)).length;
+
+    return {
+      ...progress,
+      [deckId]: {
+        totalCards: deckEntries.length,
+        playedCards,
+        progress: deckEntries.length > 0 ? playedCards / deckEntries.length : 0,
+        requiresAllCards: required.has(deckId),
+        complete: playedCards === deckEntries.length
+      }
+    };
+  }, {});
+};
+
+/**
+ * Check whether every requiresAllCards deck has been played through
+ * @param {Object} deckProgress - Output of calculateDeckProgress
+ * @returns {boolean} True if the session counts as complete
+ */
+const isSessionComplete = (deckProgress) => Object.values(deckProgress)
+  .every((progress) => !progress.requiresAllCards || progress.complete);
+
+/**
+ * Calculate per-player card counts from card assignments
+ * @param {Object} session - Session object
+ * @returns {Object} Stats keyed by player user ID
+ */
+const calculatePlayerStats = (session) => {
+  const assignments = session.cardAssignments || {};
+  const completed = new Set(session.completedCards || []);
+  const skipped = new Set(session.skippedCards || []);
+
+  const playerStats = {};
+  (session.players || []).forEach((player) => {
+    const sips = (session.sipLedger || {})[player.userId] || {};
+    playerStats[player.userId] = {
+      displayName: player.displayName,
+      points: player.points || 0,
+      cardsDrawn: 0,
+      cardsCompleted: 0,
+      cardsSkipped: 0,
+      connectionLevel: player.connectionLevel || 1,
+      sips: sips.sips || 0,
+      substitutedSips: sips.substitutedSips || 0,
+      hydrationBreaks: sips.hydrationBreaks || 0,
+      averageResponseTime: 0,
+      timeouts: 0
+    };
+  });
+
+  const responseTimes = {};
+  Object.entries(assignments).forEach(([cardId, playerId]) => {
+    const stats = playerStats[playerId];
+    if (!stats) return;
+
+    stats.cardsDrawn += 1;
+    if (completed.has(cardId)) stats.cardsCompleted += 1;
+    if (skipped.has(cardId)) stats.cardsSkipped += 1;
+
+    const timer = (session.cardTimers || {})[cardId];
+    if (timer && timer.finishedAt) {
+      responseTimes[playerId] = [...(responseTimes[playerId] || []), timer.responseTime];
+      if (timer.timedOut) stats.timeouts += 1;
+    }
+  });
+
+  Object.entries(responseTimes).forEach(([playerId, times]) => {
+    playerStats[playerId].averageResponseTime = Math.round(
+      times.reduce((total, time) => total + time, 0) / times.length
+    );
+  });
+
+  return playerStats;
+};
+
+/**
+ * Summarize how long the session's played cards took
+ * @param {Object} session - Session object
+ * @returns {Object} { averageResponseTime, timeouts, cards } with the
+ *   response time (ms) of each played card
+ */
+const summarizeCardTimes = (session) => {
+  const timers = session.cardTimers || {};
+  const played = Object.keys(timers).filter((cardId) => timers[cardId].finishedAt);
+  const total = played.reduce((sum, cardId) => sum + timers[cardId].responseTime, 0);
+
+  return {
+    averageResponseTime: played.length > 0 ? Math.round(total / played.length) : 0,
+    timeouts: played.filter((cardId) => timers[cardId].timedOut).length,
+    cards: played.reduce((cards, cardId) => ({
+      ...cards,
+      [cardId]: {
+        responseTime: timers[cardId].responseTime,
+        durationSeconds: timers[cardId].durationSeconds || null,
+        timedOut: Boolean(timers[cardId].timedOut)
+      }
+    }), {})
+  };
+};
+
 /**
  * Calculate session statistics
  * @param {Object} session - Session object
@@ -77,6 +411,8 @@ const calculateSessionStats = (session) => {
   const totalCards = session.drawnCards.length;
   const completedCards = session.completedCards.length;
   const skippedCards = session.skippedCards.length;
+  const end = session.endedAt ? new Date(session.endedAt) : new Date();
+  const deckProgress = calculateDeckProgress(session);
 
   return {
     totalCards,
@@ -85,25 +421,412 @@ const calculateSessionStats = (session) => {
     completionRate: totalCards > 0 ? completedCards / totalCards : 0,
     skipRate: totalCards > 0 ? skippedCards / totalCards : 0,
     averageLevel: session.currentLevel,
-    duration: session.endedAt
-      ? new Date(session.endedAt) - new Date(session.startedAt)
-      : new Date() - new Date(session.startedAt)
+    duration: calculateActiveDuration(session, end),
+    pauseDuration: calculatePauseDuration(session, end),
+    playerStats: calculatePlayerStats(session),
+    cardTimes: summarizeCardTimes(session),
+    deckProgress,
+    isComplete: isSessionComplete(deckProgress)
   };
 };
 
+/**
+ * Create the pool snapshot entry for a card
+ * @param {Object} card - Card object
+ * @returns {Object} Pool entry
+ */
+const createPoolEntry = (card) => ({
+  id: card.id,
+  type: card.type,
+  connectionLevel: card.connectionLevel,
+  tier: card.tier || 'FREE',
+  contentWarnings: card.contentWarnings || [],
+  categories: card.categories || [],
+  deckIds: card.deckIds || [],
+  statistics: {
+    skipRate: (card.statistics && card.statistics.skipRate) || 0
+  },
+  // Sets the card's answer timer
+  ...(card.metadata && card.metadata.estimatedResponseTime && {
+    metadata: { estimatedResponseTime: card.metadata.estimatedResponseTime }
+  })
+});
+
+/**
+ * Bucket pool entries by connection level
+ * @param {Array} cards - Cards (or pool entries)
+ * @returns {Object} Pool keyed by level '1'..'4'
+ */
+const bucketCardPool = (cards) => cards.reduce((pool, card) => {
+  const entry = createPoolEntry(card);
+  const level = String(entry.connectionLevel);
+  return {
+    ...pool,
+    [level]: [...(pool[level] || []), entry]
+  };
+}, {
+  1: [], 2: [], 3: [], 4: []
+});
+
+/**
+ * Replace a stale pool entry, moving it to its new level bucket
+ * @param {Object} cardPool - Pool keyed by level
+ * @param {Object} staleEntry - Snapshotted entry
+ * @param {Object} freshEntry - Entry built from the current card
+ * @returns {Object} Updated pool
+ */
+const replacePoolEntry = (cardPool, staleEntry, freshEntry) => {
+  const staleLevel = String(staleEntry.connectionLevel);
+  const freshLevel = String(freshEntry.connectionLevel);
+  const withoutStale = {
+    ...cardPool,
+    [staleLevel]: (cardPool[staleLevel] || []).filter((entry) => entry.id !== staleEntry.id)
+  };
+
+  return {
+    ...withoutStale,
+    [freshLevel]: [...(withoutStale[freshLevel] || []), freshEntry]
+  };
+};
+
+/**
+ * Get undrawn pool entries at or below a connection level that pass the
+ * session's content filters (and, in exclude mode, were not seen recently)
+ * @param {Object} session - Session object
+ * @param {number} maxLevel - Maximum connection level
+ * @returns {Array} Candidate pool entries
+ */
+const getPoolCandidates = (session, maxLevel) => {
+  const excluded = new Set([...session.drawnCards, ...(session.retiredCardIds || [])]);
+  const pool = session.cardPool || {};
+
+  const candidates = Array.from({ length: maxLevel }, (_, index) => pool[String(index + 1)] || [])
+    .flat()
+    .filter((entry) => !excluded.has(entry.id)
+      && matchesContentFilters(entry, session.contentFilters));
+
+  return excludeSeenCards(candidates, session.freshness, session.seenCardIds);
+};
+
+/**
+ * Find a card's entry in the pool snapshot
+ * @param {Object} session - Session object
+ * @param {string} cardId - Card ID
+ * @returns {Object|undefined} Pool entry
+ */
+const findPoolEntry = (session, cardId) => Object.values(session.cardPool || {})
+  .flat()
+  .find((entry) => entry.id === cardId);
+
+/**
+ * Count cards still playable in the session
+ * @param {Object} session - Session object
+ * @returns {number} Remaining cards
+ */
+const countRemainingCards = (session) => session.availableCardPool.length
+  - session.drawnCards.length
+  - (session.retiredCardIds || []).length;
+
 /**
  * Check if session can draw more cards
  * @param {Object} session - Session object
  * @returns {boolean} Can draw
  */
-const canDrawCard = (session) => session.status === 'active'
-         && session.availableCardPool.length > session.drawnCards.length;
+const canDrawCard = (session) => ['waiting', 'active'].includes(session.status)
+         && countRemainingCards(session) > 0;
+
+/**
+ * Check if session lobby accepts new players
+ * @param {Object} session - Session object
+ * @returns {boolean} Can join
+ */
+const canJoinSession = (session) => ['waiting', 'active', 'paused'].includes(session.status)
+         && !session.lobbyLocked;
+
+/**
+ * Generate a short, human-friendly join code
+ * @param {number} length - Code length
+ * @returns {string} Join code
+ */
+const generateJoinCode = (length = 6) => Array.from(
+  { length },
+  () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]
+).join('');
+
+/**
+ * Find an active player in session
+ * @param {Object} session - Session object
+ * @param {string} playerId - Player user ID
+ * @returns {Object|undefined} Player
+ */
+const findActivePlayer = (session, playerId) => (session.players || [])
+  .find((player) => player.userId === playerId && player.isActive);
+
+/**
+ * Pick the player whose turn comes next
+ * @param {Object} session - Session object
+ * @param {Object} options - { requestedPlayerId, random }
+ * @returns {string|null} Player user ID, or null if nobody is eligible
+ */
+const selectNextPlayer = (session, { requestedPlayerId = null, random = Math.random } = {}) => {
+  const players = session.players || [];
+  const activePlayers = players.filter((player) => player.isActive);
+  if (activePlayers.length === 0) {
+    return null;
+  }
+
+  const turnOrder = (session.configuration || {}).turnOrder || 'sequential';
+
+  if (turnOrder === 'host_picks') {
+    const picked = activePlayers.find((player) => player.userId === requestedPlayerId);
+    return picked ? picked.userId : null;
+  }
+
+  if (turnOrder === 'random') {
+    // Avoid giving the same player two turns in a row when possible
+    const candidates = activePlayers.length > 1
+      ? activePlayers.filter((player) => player.userId !== session.currentPlayerId)
+      : activePlayers;
+    return candidates[Math.floor(random() * candidates.length)].userId;
+  }
+
+  // Sequential: walk seat order from the current player, skipping inactive seats
+  const currentIndex = players.findIndex((player) => player.userId === session.currentPlayerId);
+  const next = Array.from({ length: players.length }, (_, offset) => players[
+    (currentIndex + 1 + offset) % players.length
+  ]).find((player) => player.isActive);
+
+  return next.userId;
+};
+
+/**
+ * Check if user takes part in session (host or a player still at the table;
+ * kicked and departed players lose access)
+ * @param {Object} session - Session object
+ * @param {string} userId - User ID
+ * @returns {boolean} Is participant
+ */
+const isSessionParticipant = (session, userId) => session.hostId === userId
+         || (session.players || []).some((player) => player.userId === userId && player.isActive);
+
+/**
+ * Capture the session state a draw, complete or skip is about to change
+ * @param {Object} session - Session before the action
+ * @param {string} action - 'draw', 'complete' or 'skip'
+ * @param {string} cardId - Card the action applies to
+ * @param {string} playerId - Player the action applies to
+ * @returns {Object} Undo entry
+ */
+const createUndoEntry = (session, action, cardId, playerId = null) => ({
+  action,
+  cardId,
+  playerId,
+  createdAt: new Date(),
+  previous: {
+    drawnCards: session.drawnCards || [],
+    completedCards: session.completedCards || [],
+    skippedCards: session.skippedCards || [],
+    currentPlayerId: session.currentPlayerId || null,
+    cardAssignments: session.cardAssignments || {},
+    cardTimers: session.cardTimers || {},
+    // Undone sips must not count towards the hourly cap or hydration breaks
+    sipLedger: session.sipLedger || {},
+    drawnTypeCounts: session.drawnTypeCounts || {},
+    lastDrawnType: session.lastDrawnType || null,
+    status: session.status,
+    currentLevel: session.currentLevel,
+    firstToMaxLevel: session.firstToMaxLevel || null,
+    levelProgressionTime: (session.analytics || {}).levelProgressionTime || {},
+    playerPoints: (session.players || []).reduce((points, player) => ({
+      ...points,
+      [player.userId]: player.points || 0
+    }), {}),
+    // Per-player levels only move in 'player' level mode
+    playerLevels: (session.players || []).reduce((levels, player) => ({
+      ...levels,
+      ...(player.connectionLevel !== undefined && { [player.userId]: player.connectionLevel })
+    }), {})
+  }
+});
+
+/**
+ * Add an entry to the undo stack, keeping only the newest `depth` entries
+ * @param {Object} session - Session object
+ * @param {Object} entry - Undo entry
+ * @param {number} depth - Maximum stack size
+ * @returns {Array} New undo stack
+ */
+const pushUndoEntry = (session, entry, depth) => (depth > 0
+  ? [...(session.undoStack || []), entry].slice(-depth)
+  : []);
+
+/**
+ * Apply session updates (with Firestore dotted field paths) to a session
+ * object, to plan follow-up changes before anything is written
+ * @param {Object} session - Session object
+ * @param {Object} updates - Session updates
+ * @returns {Object} Session as it will be after the updates
+ */
+const applySessionUpdates = (session, updates) => Object.keys(updates).reduce((next, key) => {
+  const [field, ...path] = key.split('.');
+  if (path.length === 0) {
+    return { ...next, [field]: updates[key] };
+  }
+
+  return {
+    ...next,
+    [field]: applySessionUpdates(next[field] || {}, { [path.join('.')]: updates[key] })
+  };
+}, session);
+
+/**
+ * Build the updates restoring the state captured in an undo entry.
+ * Players who joined since keep their points; only captured ones revert.
+ * @param {Object} session - Current session
+ * @param {Object} entry - Undo entry (top of the stack)
+ * @returns {Object} Session updates
+ */
+const buildUndoUpdates = (session, entry) => {
+  const {
+    playerPoints,
+    playerLevels = {},
+    levelProgressionTime,
+    ...fields
+  } = entry.previous;
+
+  return {
+    ...fields,
+    'analytics.levelProgressionTime': levelProgressionTime,
+    players: (session.players || []).map((player) => ({
+      ...player,
+      ...(playerPoints[player.userId] !== undefined && { points: playerPoints[player.userId] }),
+      ...(playerLevels[player.userId] !== undefined && {
+        connectionLevel: playerLevels[player.userId]
+      })
+    })),
+    undoStack: (session.undoStack || []).slice(0, -1)
+  };
+};
+
+/**
+ * Build the updates that hand a guest's seat over to a registered user
+ * @param {Object} session - Session object
+ * @param {string} guestId - Guest ID
+ * @param {string} userId - Registered user ID
+ * @returns {Object} Session updates
+ */
+const buildGuestClaimUpdates = (session, guestId, userId) => {
+  const swap = (id) => (id === guestId ? userId : id);
+  const swapPlayer = (player) => (player && player.userId === guestId
+    ? { ...player, userId }
+    : player);
+
+  const updates = {
+    players: (session.players || []).map((player) => (player.userId === guestId
+      ? {
+        ...player, userId, isGuest: false, claimedFrom: guestId
+      }
+      : player)),
+    cardAssignments: Object.entries(session.cardAssignments || {}).reduce(
+      (assignments, [cardId, playerId]) => ({ ...assignments, [cardId]: swap(playerId) }),
+      {}
+    ),
+    kickedPlayerIds: (session.kickedPlayerIds || []).map(swap)
+  };
+
+  if ((session.sipLedger || {})[guestId]) {
+    updates.sipLedger = Object.entries(session.sipLedger).reduce(
+      (ledger, [playerId, entry]) => ({ ...ledger, [swap(playerId)]: entry }),
+      {}
+    );
+  }
+
+  if (session.currentPlayerId) {
+    updates.currentPlayerId = swap(session.currentPlayerId);
+  }
+
+  if (session.firstToMaxLevel) {
+    updates.firstToMaxLevel = {
+      ...session.firstToMaxLevel,
+      playerId: swap(session.firstToMaxLevel.playerId)
+    };
+  }
+
+  if (session.result) {
+    updates.result = {
+      ...session.result,
+      standings: (session.result.standings || []).map(swapPlayer),
+      winner: swapPlayer(session.result.winner || null),
+      winners: (session.result.winners || []).map(swapPlayer)
+    };
+  }
+
+  return updates;
+};
+
+/**
+ * Decide whether an open session should be ended by the sweeper
+ * @param {Object} session - Session object
+ * @param {Object} options - { maxDuration, idleTimeout, pausedTimeout } defaults in milliseconds
+ * @param {Date} now - Reference time
+ * @returns {string|null} 'max_duration', 'idle' or null to keep it open
+ */
+const getExpiryReason = (session, options, now = new Date()) => {
+  const maxDuration = (session.configuration || {}).maxDuration || options.maxDuration;
+  if (calculateActiveDuration(session, now) >= maxDuration) {
+    return 'max_duration';
+  }
+
+  // A paused session gets no writes, so it is only idle once the pause
+  // itself has run too long
+  if (session.status === 'paused') {
+    const pausedAt = toDate(session.pausedAt || session.updatedAt);
+    return new Date(now) - pausedAt >= options.pausedTimeout ? 'idle' : null;
+  }
+
+  // Every write bumps updatedAt, so it marks the last action in the session
+  const lastActivity = toDate(session.updatedAt || session.startedAt);
+  if (new Date(now) - lastActivity >= options.idleTimeout) {
+    return 'idle';
+  }
+
+  return null;
+};
 
 module.exports = {
   GameSessionSchema,
+  HouseRuleSchema,
+  CustomRulesSchema,
+  DrinkingSchema,
+  TimerSchema,
   validateGameSession,
   calculateSessionStats,
+  summarizeCardTimes,
+  toDate,
+  calculateActiveDuration,
+  calculatePauseDuration,
+  calculateDeckProgress,
+  isSessionComplete,
+  getExpiryReason,
+  createUndoEntry,
+  pushUndoEntry,
+  buildUndoUpdates,
+  buildGuestClaimUpdates,
+  applySessionUpdates,
   canDrawCard,
+  countRemainingCards,
+  createPoolEntry,
+  bucketCardPool,
+  replacePoolEntry,
+  findPoolEntry,
+  getPoolCandidates,
+  canJoinSession,
+  generateJoinCode,
+  findActivePlayer,
+  selectNextPlayer,
+  isSessionParticipant,
   PlayerSchema,
+  ProgressionSchema,
+  FreshnessSchema,
   GameConfigurationSchema
 };
@@ -1,5 +1,7 @@
 const Joi = require('joi');
 const { maxBirthDate } = require('../utils/validators');
+const { contentFilterSchema } = require('./Card');
+const { HouseRuleSchema } = require('./GameSession');
 
 const PurchaseHistorySchema = Joi.object({
   deckId: Joi.string().required(),
@@ -9,6 +11,14 @@ const PurchaseHistorySchema = Joi.object({
   transactionId: Joi.string().optional()
 });
 
+const HouseRulePresetSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50)
+    .required(),
+  rules: Joi.array().items(HouseRuleSchema).min(1).max(20)
+    .required(),
+  updatedAt: Joi.date().default(() => new Date())
+});
+
 const UserSchema = Joi.object({
   uid: Joi.string().required(),
   email: Joi.string().email().required(),
@@ -24,9 +34,11 @@ const UserSchema = Joi.object({
     relationshipTypes: Joi.array().items(
       Joi.string().valid('friends', 'colleagues', 'new_couples', 'established_couples', 'family')
     ).default([]),
-    contentFilters: Joi.object().default({})
+    contentFilters: contentFilterSchema.default({})
   }).default({}),
 
+  houseRulePresets: Joi.array().items(HouseRulePresetSchema).default([]),
+
   statistics: Joi.object({
     totalSessions: Joi.number().integer().min(0).default(0),
     relationshipTypeUsage: Joi.object().default({}),
@@ -60,6 +72,7 @@ const createUserData = (firebaseUser, additionalData = {}) => ({
     contentFilters: {},
     ...additionalData.preferences
   },
+  houseRulePresets: [],
   statistics: {
     totalSessions: 0,
     relationshipTypeUsage: {},
@@ -78,5 +91,6 @@ module.exports = {
   UserSchema,
   validateUser,
   createUserData,
-  PurchaseHistorySchema
+  PurchaseHistorySchema,
+  HouseRulePresetSchema
 };
@@ -0,0 +1,114 @@
+const { db } = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+class CardHistoryRepository {
+  constructor() {
+    this.collection = db.collection('cardHistory');
+  }
+
+  /**
+   * Find history documents by owner key
+   * @param {Array} ownerKeys - Owner keys (user_<uid> or group_<hash>)
+   * @returns {Array} History documents (null for owners without history)
+   */
+  findByOwnerKeys = async ownerKeys => {
+    try {
+      const docs = await Promise.all(ownerKeys.map(key => this.collection.doc(key)
+        .get()));
+
+      return docs.map(doc => (doc.exists
+        ? {
+          id: doc.id,
+          ...doc.data()
+        }
+        : null));
+    } catch (error) {
+      logger.error('Error finding card history:', error);
+      throw new AppError('Failed to retrieve card history', 500);
+    }
+  };
+
+  /**
+   * Append a played session to an owner's history
+   * @param {string} ownerKey - Owner key
+   * @param {Array} memberIds - User IDs the history belongs to
+   * @param {Object} entry - { sessionId, endedAt, cardIds }
+   * @param {number} maxSessions - Number of sessions to keep
+   */
+  appendSession = async (ownerKey, memberIds, entry, maxSessions) => {
+    try {
+      const doc = await this.collection.doc(ownerKey)
+        .get();
+      const sessions = doc.exists ? doc.data().sessions || [] : [];
+
+      await this.collection.doc(ownerKey)
+        .set({
+          memberIds,
+          sessions: [...sessions, entry].slice(-maxSessions),
+          updatedAt: new Date()
+        });
+    } catch (error) {
+      logger.error('Error appending card history:', error);
+      throw new AppError('Failed to update card history', 500);
+    }
+  };
+
+  /**
+   * Replace an owner's sessions
+   * @param {string} ownerKey - Owner key
+   * @param {Array} memberIds - User IDs the history belongs to
+   * @param {Array} sessions - Sessions, oldest first
+   */
+  saveSessions = async (ownerKey, memberIds, sessions) => {
+    try {
+      await this.collection.doc(ownerKey)
+        .set({
+          memberIds,
+          sessions,
+          updatedAt: new Date()
+        });
+    } catch (error) {
+      logger.error('Error saving card history:', error);
+      throw new AppError('Failed to update card history', 500);
+    }
+  };
+
+  /**
+   * Delete one owner's history
+   * @param {string} ownerKey - Owner key
+   */
+  deleteByOwnerKey = async ownerKey => {
+    try {
+      await this.collection.doc(ownerKey)
+        .delete();
+    } catch (error) {
+      logger.error('Error deleting card history:', error);
+      throw new AppError('Failed to delete card history', 500);
+    }
+  };
+
+  /**
+   * Delete a user's history and every group history they belong to
+   * @param {string} userId - User ID
+   * @returns {number} Number of deleted documents
+   */
+  deleteByMember = async userId => {
+    try {
+      const snapshot = await this.collection
+        .where('memberIds', 'array-contains', userId)
+        .get();
+
+      const batch = db.batch();
+      snapshot.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+
+      return snapshot.size;
+    } catch (error) {
+      logger.error('Error deleting card history:', error);
+      throw new AppError('Failed to reset card history', 500);
+    }
+  };
+}
+
+module.exports = CardHistoryRepository;
@@ -0,0 +1,92 @@
+const { db } = require('../config/firebase');
+const { applyCardRating } = require('../models/Card');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+class CardRatingRepository {
+  constructor() {
+    this.collection = db.collection('cardRatings');
+    this.cards = db.collection('cards');
+  }
+
+  /**
+   * Save a player's rating of a card drawn in a session and fold it into
+   * the card's statistics. Runs in a transaction so concurrent ratings of
+   * the same card never overwrite each other's aggregates.
+   * @param {Object} rating - { sessionId, cardId, userId, stars, reasons, comment }
+   * @returns {Object} { rating, statistics }
+   */
+  saveRating = async rating => {
+    const ratingRef = this.collection.doc(`${rating.sessionId}_${rating.cardId}_${rating.userId}`);
+    const cardRef = this.cards.doc(rating.cardId);
+
+    try {
+      return await db.runTransaction(async transaction => {
+        const [ratingDoc, cardDoc] = await Promise.all([
+          transaction.get(ratingRef),
+          transaction.get(cardRef)
+        ]);
+
+        if (!cardDoc.exists) {
+          throw new AppError('Card not found', 404);
+        }
+
+        const previous = ratingDoc.exists ? ratingDoc.data() : null;
+        const now = new Date();
+        const saved = {
+          ...rating,
+          createdAt: previous ? previous.createdAt : now,
+          updatedAt: now
+        };
+        const statistics = applyCardRating(cardDoc.data().statistics, rating, previous);
+
+        transaction.set(ratingRef, saved);
+        transaction.update(cardRef, {
+          'statistics.averageRating': statistics.averageRating,
+          'statistics.feedbackCount': statistics.feedbackCount,
+          'statistics.ratingSum': statistics.ratingSum,
+          'statistics.ratingDistribution': statistics.ratingDistribution,
+          'statistics.reasonCounts': statistics.reasonCounts,
+          updatedAt: now
+        });
+
+        return {
+          rating: { id: ratingRef.id, ...saved },
+          statistics
+        };
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      logger.error('Error saving card rating:', error);
+      throw new AppError('Failed to save rating', 500);
+    }
+  };
+
+  /**
+   * Find the latest ratings of a card
+   * @param {string} cardId - Card ID
+   * @param {number} limit - Maximum ratings
+   * @returns {Array} Ratings, newest first
+   */
+  findByCardId = async (cardId, limit = 20) => {
+    try {
+      const snapshot = await this.collection
+        .where('cardId', '==', cardId)
+        .orderBy('updatedAt', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    } catch (error) {
+      logger.error('Error finding card ratings:', error);
+      throw new AppError('Failed to retrieve ratings', 500);
+    }
+  };
+}
+
+module.exports = CardRatingRepository;
@@ -1,6 +1,7 @@
-const { db } = require('../config/firebase');
+const { admin, db } = require('../config/firebase');
 const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const { applyCardTiming, applyCardSkip } = require('../models/Card');
 const { Timestamp } = require('@google-cloud/firestore/build/src');
 
 class CardRepository {
@@ -146,6 +147,10 @@ class CardRepository {
         query = query.where('status', '==', filters.status);
       }
 
+      if (filters.involvesDrinking !== undefined) {
+        query = query.where('involvesDrinking', '==', filters.involvesDrinking);
+      }
+
       if (filters.theta) {
         query = query.where('theta', '>=', filters.theta.min)
           .where('theta', '<=', filters.theta.max);
@@ -279,28 +284,115 @@ class CardRepository {
   };
 
   /**
-   * Increment language usage
+   * Fold (or take back) the time a card took to play into its statistics.
+   * Runs in a transaction so concurrent sessions never lose each other's times.
+   * @param {string} cardId - Card ID
+   * @param {Object} timing - { responseTime, timedOut }
+   * @param {boolean} revert - Take a recorded timing back out
+   * @returns {Object} Updated timing statistics
+   */
+  recordTiming = async (cardId, timing, revert = false) => {
+    const cardRef = this.collection.doc(cardId);
+
+    try {
+      return await db.runTransaction(async transaction => {
+        const cardDoc = await transaction.get(cardRef);
+        if (!cardDoc.exists) {
+          throw new AppError('Card not found', 404);
+        }
+
+        const statistics = applyCardTiming(cardDoc.data().statistics, timing, revert);
+        transaction.update(cardRef, {
+          'statistics.timedPlays': statistics.timedPlays,
+          'statistics.totalResponseTime': statistics.totalResponseTime,
+          'statistics.averageResponseTime': statistics.averageResponseTime,
+          'statistics.timeouts': statistics.timeouts,
+          updatedAt: new Date()
+        });
+
+        return statistics;
+      });
+    }
+    catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      logger.error('Error recording card timing:', error);
+      throw new AppError('Failed to update card statistics', 500);
+    }
+  };
+
+  /**
+   * Count a draw of a card in a language. The counters are incremented in
+   * place so a concurrent rating or timing write is never overwritten.
    * @param {string} cardId - Card ID
    * @param {string} language - Language code
    */
   incrementLanguageUsage = async (cardId, language) => {
     try {
-      const card = await this.findById(cardId);
-      if (!card) {
-        throw new AppError('Card not found', 404);
-      }
+      await this.collection.doc(cardId).update({
+        'statistics.timesDrawn': admin.firestore.FieldValue.increment(1),
+        [`statistics.languageUsage.${language}`]: admin.firestore.FieldValue.increment(1),
+        updatedAt: new Date()
+      });
+    }
+    catch (error) {
+      logger.error('Error incrementing language usage:', error);
+      throw new AppError('Failed to update language usage', 500);
+    }
+  };
 
-      const statistics = card.statistics || {};
-      const languageUsage = statistics.languageUsage || {};
-      languageUsage[language] = (languageUsage[language] || 0) + 1;
+  /**
+   * Count (or take back) a skip of a card. Runs in a transaction because
+   * the skip rate is derived from the draw count.
+   * @param {string} cardId - Card ID
+   * @param {boolean} revert - Take a recorded skip back out
+   * @returns {Object} Updated skip statistics
+   */
+  recordSkip = async (cardId, revert = false) => {
+    const cardRef = this.collection.doc(cardId);
 
-      statistics.languageUsage = languageUsage;
-      statistics.timesDrawn = (statistics.timesDrawn || 0) + 1;
+    try {
+      return await db.runTransaction(async transaction => {
+        const cardDoc = await transaction.get(cardRef);
+        if (!cardDoc.exists) {
+          throw new AppError('Card not found', 404);
+        }
+
+        const statistics = applyCardSkip(cardDoc.data().statistics, revert);
+        transaction.update(cardRef, {
+          'statistics.timesSkipped': statistics.timesSkipped,
+          'statistics.skipRate': statistics.skipRate,
+          updatedAt: new Date()
+        });
 
-      await this.updateStatistics(cardId, statistics);
+        return statistics;
+      });
     }
     catch (error) {
-      logger.error('Error incrementing language usage:', error);
+      if (error instanceof AppError) {
+        throw error;
+      }
+      logger.error('Error recording card skip:', error);
+      throw new AppError('Failed to update card statistics', 500);
+    }
+  };
+
+  /**
+   * Take back a counted draw (reverts incrementLanguageUsage)
+   * @param {string} cardId - Card ID
+   * @param {string} language - Language code
+   */
+  decrementLanguageUsage = async (cardId, language) => {
+    try {
+      await this.collection.doc(cardId).update({
+        'statistics.timesDrawn': admin.firestore.FieldValue.increment(-1),
+        [`statistics.languageUsage.${language}`]: admin.firestore.FieldValue.increment(-1),
+        updatedAt: new Date()
+      });
+    }
+    catch (error) {
+      logger.error('Error decrementing language usage:', error);
       throw new AppError('Failed to update language usage', 500);
     }
   };
@@ -1,7 +1,11 @@
-const { db } = require('../config/firebase');
+const { admin, db } = require('../config/firebase');
 const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
+// gRPC status Firestore reports for transactions aborted by contention
+const ABORTED = 10;
+const VERSION_CONFLICT_MESSAGE = 'Session was changed by another action, reload it and try again';
+
 class GameSessionRepository {
   constructor() {
     this.collection = db.collection('sessions');
@@ -84,16 +88,105 @@ class GameSessionRepository {
   };
 
   /**
-   * Update session
+   * Find open session by lobby join code
+   * @param {string} joinCode - Join code
+   * @returns {Object|null} Session object or null
+   */
+  findByJoinCode = async joinCode => {
+    try {
+      const snapshot = await this.collection
+        .where('joinCode', '==', joinCode)
+        .where('status', 'in', ['waiting', 'active', 'paused'])
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) {
+        return null;
+      }
+
+      const doc = snapshot.docs[0];
+      return {
+        id: doc.id,
+        ...doc.data()
+      };
+    } catch (error) {
+      logger.error('Error finding session by join code:', error);
+      throw new AppError('Failed to retrieve session', 500);
+    }
+  };
+
+  /**
+   * Find session by public recap share token
+   * @param {string} token - Share token
+   * @returns {Object|null} Session object or null
+   */
+  findByShareToken = async token => {
+    try {
+      const snapshot = await this.collection
+        .where('share.token', '==', token)
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) {
+        return null;
+      }
+
+      const doc = snapshot.docs[0];
+      return {
+        id: doc.id,
+        ...doc.data()
+      };
+    } catch (error) {
+      logger.error('Error finding session by share token:', error);
+      throw new AppError('Failed to retrieve session', 500);
+    }
+  };
+
+  /**
+   * Find sessions of a rematch series
+   * @param {string} seriesId - Series ID
+   * @returns {Array} Array of sessions
+   */
+  findBySeriesId = async seriesId => {
+    try {
+      const snapshot = await this.collection
+        .where('seriesId', '==', seriesId)
+        .get();
+
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    } catch (error) {
+      logger.error('Error finding sessions by series ID:', error);
+      throw new AppError('Failed to retrieve sessions', 500);
+    }
+  };
+
+  /**
+   * Update session. Every write moves the session to a new version; with an
+   * expectedVersion the update only goes through if nothing else wrote to
+   * the session since that version was read.
    * @param {string} sessionId - Session ID
    * @param {Object} updateData - Update data
+   * @param {Object} options - expectedVersion: version the update was computed from
    * @returns {Object} Updated session
    */
-  update = async (sessionId, updateData) => {
+  update = async (sessionId, updateData, options = {}) => {
+    if (options.expectedVersion !== undefined) {
+      return this.mutate(sessionId, session => {
+        if ((session.version || 0) !== options.expectedVersion) {
+          throw new AppError(VERSION_CONFLICT_MESSAGE, 409);
+        }
+        return updateData;
+      });
+    }
+
     try {
       await this.collection.doc(sessionId)
         .update({
           ...updateData,
+          version: admin.firestore.FieldValue.increment(1),
           updatedAt: new Date()
         });
 
@@ -105,77 +198,125 @@ class GameSessionRepository {
   };
 
   /**
-   * Add drawn card to session
+   * Change a session inside a transaction. The mutator computes the updates
+   * from the session as read in the transaction (and may run again if the
+   * transaction is retried), so it must not have side effects.
    * @param {string} sessionId - Session ID
-   * @param {string} cardId - Card ID
+   * @param {Function} mutator - session => updates, or null to leave it unchanged
+   * @returns {Object} Updated session
    */
-  addDrawnCard = async (sessionId, cardId) => {
+  mutate = async (sessionId, mutator) => {
+    const sessionRef = this.collection.doc(sessionId);
+
     try {
-      const session = await this.findById(sessionId);
-      if (!session) {
-        throw new AppError('Session not found', 404);
-      }
+      await db.runTransaction(async transaction => {
+        const doc = await transaction.get(sessionRef);
+        if (!doc.exists) {
+          throw new AppError('Session not found', 404);
+        }
+
+        const session = { id: doc.id, ...doc.data() };
+        const updates = mutator(session);
+
+        if (updates) {
+          transaction.update(sessionRef, {
+            ...updates,
+            version: (session.version || 0) + 1,
+            updatedAt: new Date()
+          });
+        }
+      });
 
-      const drawnCards = session.drawnCards || [];
-      if (!drawnCards.includes(cardId)) {
-        drawnCards.push(cardId);
-        await this.update(sessionId, { drawnCards });
-      }
+      return await this.findById(sessionId);
     } catch (error) {
-      logger.error('Error adding drawn card:', error);
-      throw new AppError('Failed to add drawn card', 500);
+      if (error instanceof AppError) {
+        throw error;
+      }
+      // Firestore gave up retrying a contended transaction
+      if (error.code === ABORTED) {
+        throw new AppError(VERSION_CONFLICT_MESSAGE, 409);
+      }
+      logger.error('Error mutating session:', error);
+      throw new AppError('Failed to update session', 500);
     }
   };
 
   /**
-   * Add completed card to session
+   * Append an event to a session's event log
    * @param {string} sessionId - Session ID
-   * @param {string} cardId - Card ID
+   * @param {Object} event - Event ({ type, payload, timestamp })
+   * @returns {string} Event ID
    */
-  addCompletedCard = async (sessionId, cardId) => {
+  appendEvent = async (sessionId, event) => {
     try {
-      const session = await this.findById(sessionId);
-      if (!session) {
-        throw new AppError('Session not found', 404);
-      }
+      const docRef = await this.collection.doc(sessionId)
+        .collection('events')
+        .add(event);
 
-      const completedCards = session.completedCards || [];
-      if (!completedCards.includes(cardId)) {
-        completedCards.push(cardId);
-        await this.update(sessionId, { completedCards });
-      }
+      return docRef.id;
     } catch (error) {
-      logger.error('Error adding completed card:', error);
-      throw new AppError('Failed to add completed card', 500);
+      logger.error('Error appending session event:', error);
+      throw new AppError('Failed to record session event', 500);
     }
   };
 
   /**
-   * Add skipped card to session
+   * Find a session's events, oldest first
    * @param {string} sessionId - Session ID
-   * @param {string} cardId - Card ID
+   * @param {Object} options - after (only events later than this date), limit
+   * @returns {Array} Array of events
    */
-  addSkippedCard = async (sessionId, cardId) => {
+  findEvents = async (sessionId, options = {}) => {
     try {
-      const session = await this.findById(sessionId);
-      if (!session) {
-        throw new AppError('Session not found', 404);
+      let query = this.collection.doc(sessionId)
+        .collection('events')
+        .orderBy('timestamp', 'asc');
+
+      if (options.after) {
+        query = query.where('timestamp', '>', options.after);
       }
 
-      const skippedCards = session.skippedCards || [];
-      if (!skippedCards.includes(cardId)) {
-        skippedCards.push(cardId);
-        await this.update(sessionId, { skippedCards });
+      if (options.limit) {
+        query = query.limit(options.limit);
       }
+
+      const snapshot = await query.get();
+
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
     } catch (error) {
-      logger.error('Error adding skipped card:', error);
-      throw new AppError('Failed to add skipped card', 500);
+      logger.error('Error finding session events:', error);
+      throw new AppError('Failed to retrieve session events', 500);
     }
   };
 
   /**
-   * Delete old sessions (cleanup)
-   * @param {number} daysOld - Delete sessions older than this many days
+   * Find sessions that have not ended yet
+   * @returns {Array} Array of waiting, active and paused sessions
+   */
+  findOpenSessions = async () => {
+    try {
+      const snapshot = await this.collection
+        .where('status', 'in', ['waiting', 'active', 'paused'])
+        .get();
+
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    } catch (error) {
+      logger.error('Error finding open sessions:', error);
+      throw new AppError('Failed to retrieve sessions', 500);
+    }
+  };
+
+  /**
+   * Delete old sessions (cleanup). Completed sessions that were played are
+   * kept for analytics; only their card pool snapshot is dropped and they are
+   * archived, so later cleanups leave them alone.
+   * @param {number} daysOld - Clean up sessions older than this many days
    * @returns {number} Number of deleted sessions
    */
   deleteOldSessions = async (daysOld = 7) => {
@@ -183,22 +324,42 @@ class GameSessionRepository {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
+      // Sessions created before archiving existed have no archived field,
+      // which an equality filter would never match
       const snapshot = await this.collection
         .where('createdAt', '<', cutoffDate)
         .get();
 
-      const batch = db.batch();
-      let count = 0;
-
-      snapshot.forEach(doc => {
-        batch.delete(doc.ref);
-        count++;
+      const kept = [];
+      const expired = [];
+      snapshot.docs.forEach(doc => {
+        const session = doc.data();
+        if (session.archived) {
+          return;
+        }
+
+        const played = (session.drawnCards || []).length > 0;
+        if (session.status === 'completed' && played) {
+          kept.push(doc);
+        } else {
+          expired.push(doc);
+        }
       });
 
-      await batch.commit();
+      // A BulkWriter has no per-batch write limit, and recursiveDelete also
+      // removes the events subcollection, which is not deleted with its parent
+      const writer = db.bulkWriter();
+      await Promise.all(expired.map(doc => db.recursiveDelete(doc.ref, writer)));
+
+      const trims = kept.map(doc => writer.update(doc.ref, {
+        archived: true,
+        cardPool: admin.firestore.FieldValue.delete(),
+        availableCardPool: admin.firestore.FieldValue.delete()
+      }));
+      await Promise.all([...trims, writer.close()]);
 
-      logger.info(`Deleted ${count} old sessions`);
-      return count;
+      logger.info(`Deleted ${expired.length} old sessions, trimmed ${kept.length} completed sessions`);
+      return expired.length;
     } catch (error) {
       logger.error('Error deleting old sessions:', error);
       throw new AppError('Failed to delete old sessions', 500);
@@ -43,6 +43,8 @@ router.delete('/decks/:id/cards', adminController.adminRemoveCardsFromDeck);
 
 // Card management
 router.get('/cards', adminController.adminGetAllCards);
+router.get('/cards/missing-sober-variants', adminController.adminGetCardsMissingSoberVariants);
+router.get('/cards/:id/ratings', adminController.adminGetCardRatings);
 router.post('/cards', adminController.adminCreateCard);
 router.patch('/cards/:id', adminController.adminUpdateCard);
 router.delete('/cards/:id', adminController.adminDeleteCard);
@@ -1,22 +1,63 @@
 const express = require('express');
 const sessionController = require('../controllers/sessionController');
-const { authenticateUser } = require('../middleware/auth');
+const {
+  authenticateUserOrGuest,
+  restrictGuestToSession,
+  requireRegisteredUser
+} = require('../middleware/auth');
 const validate = require('../middleware/validation');
-const { createGameSessionSchema } = require('../utils/validators');
+const {
+  createGameSessionSchema,
+  guestPlayerSchema,
+  sipLimitSchema,
+  cardRatingSchema,
+  offlineSyncSchema
+} = require('../utils/validators');
 
 const router = express.Router();
 
-// All session routes require authentication
-router.use(authenticateUser);
+// Public recap links (opt-in by the host, expire)
+router.get('/shared/:token', sessionController.getSharedRecap);
+
+// Guests join with a display name and get a token for this session only
+router.post('/join/:code/guest', validate(guestPlayerSchema), sessionController.joinAsGuest);
+
+// All other session routes require a registered user or a guest token,
+// and guests only reach the session their token was issued for
+router.use(authenticateUserOrGuest);
+router.param('id', restrictGuestToSession);
 
 // Session management
-router.post('/start', validate(createGameSessionSchema), sessionController.startSession);
-router.get('/active', sessionController.getActiveSessions);
+router.post('/start', requireRegisteredUser, validate(createGameSessionSchema), sessionController.startSession);
+router.get('/active', requireRegisteredUser, sessionController.getActiveSessions);
+router.post('/join/:code', sessionController.joinSession);
 router.get('/:id', sessionController.getSession);
+router.get('/:id/stream', sessionController.streamSession);
+router.get('/:id/events', sessionController.getSessionEvents);
 router.get('/:id/draw-card', sessionController.drawCard);
 router.post('/:id/complete-card', sessionController.completeCard);
 router.post('/:id/skip-card', sessionController.skipCard);
+router.post('/:id/undo', sessionController.undoLastAction);
+router.get('/:id/offline-bundle', sessionController.getOfflineBundle);
+router.post('/:id/sync', validate(offlineSyncSchema), sessionController.syncOfflineEvents);
+router.post('/:id/level-up', sessionController.levelUp);
+router.post('/:id/sip-limit', validate(sipLimitSchema), sessionController.setSipLimit);
+router.post('/:id/ratings', validate(cardRatingSchema), sessionController.rateCard);
+router.post('/:id/pause', sessionController.pauseSession);
+router.post('/:id/resume', sessionController.resumeSession);
 router.post('/:id/end', sessionController.endSession);
 router.get('/:id/statistics', sessionController.getSessionStatistics);
+router.post('/:id/rematch', sessionController.rematchSession);
+router.get('/:id/series', sessionController.getSessionSeries);
+router.get('/:id/recap', sessionController.getSessionRecap);
+router.post('/:id/share', sessionController.createShareLink);
+router.delete('/:id/share', sessionController.revokeShareLink);
+
+// Lobby
+router.post('/:id/leave', sessionController.leaveSession);
+router.post('/:id/guests', validate(guestPlayerSchema), sessionController.addGuestPlayer);
+router.delete('/:id/players/:playerId', sessionController.kickPlayer);
+router.post('/:id/lobby/lock', sessionController.lockLobby);
+router.post('/:id/lobby/unlock', sessionController.unlockLobby);
 
 module.exports = router;
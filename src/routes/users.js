@@ -2,7 +2,11 @@ const express = require('express');
 const userController = require('../controllers/userController');
 const { authenticateUser, requireAdmin } = require('../middleware/auth');
 const validate = require('../middleware/validation');
-const { updateProfileSchema } = require('../utils/validators');
+const {
+  updateProfileSchema,
+  updatePreferencesSchema,
+  houseRulePresetSchema
+} = require('../utils/validators');
 
 const router = express.Router();
 
@@ -12,10 +16,15 @@ router.use(authenticateUser);
 // User profile routes
 router.get('/profile', userController.getProfile);
 router.patch('/profile', validate(updateProfileSchema), userController.updateProfile);
-router.patch('/preferences', userController.updatePreferences);
+router.patch('/preferences', validate(updatePreferencesSchema), userController.updatePreferences);
 router.patch('/language', userController.updateLanguage); // NEW
 router.get('/statistics', userController.getStatistics);
 router.post('/game-completion', userController.recordGameCompletion);
+router.delete('/card-history', userController.resetCardHistory);
+router.post('/claim-guest', userController.claimGuestHistory);
+router.get('/house-rules', userController.getHouseRulePresets);
+router.put('/house-rules/:name', validate(houseRulePresetSchema), userController.saveHouseRulePreset);
+router.delete('/house-rules/:name', userController.deleteHouseRulePreset);
 router.delete('/account', userController.deleteAccount);
 
 // NEW: Deck and purchase routes
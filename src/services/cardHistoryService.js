@@ -0,0 +1,117 @@
+const CardHistoryRepository = require('../repositories/cardHistoryRepository');
+const {
+  getUserHistoryKey,
+  getGroupHistoryKey,
+  collectSeenCardIds
+} = require('../utils/freshness');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+class CardHistoryService {
+  constructor() {
+    this.cardHistoryRepository = new CardHistoryRepository();
+  }
+
+  /**
+   * Get cards recently seen by a set of players
+   * @param {Array} userIds - Player user IDs
+   * @param {Object} rules - Resolved freshness rules
+   * @returns {Array} Seen card IDs
+   */
+  async getSeenCardIds(userIds, rules) {
+    if (rules.mode === 'off' || userIds.length === 0) {
+      return [];
+    }
+
+    // 'group' only counts sessions this exact group played together
+    const ownerKeys = rules.scope === 'group' && userIds.length > 1
+      ? [getGroupHistoryKey(userIds)]
+      : userIds.map(getUserHistoryKey);
+
+    const histories = await this.cardHistoryRepository.findByOwnerKeys(ownerKeys);
+
+    return collectSeenCardIds(histories, rules);
+  }
+
+  /**
+   * Add a completed session's drawn cards to the history of each active
+   * player and of the active group as a whole, so the group key matches the
+   * one used when the table's seen cards are looked up
+   * @param {Object} session - Completed session
+   */
+  async recordSession(session) {
+    const userIds = (session.players || [])
+      .filter((player) => player.isActive)
+      .map((player) => player.userId);
+    if (userIds.length === 0 || session.drawnCards.length === 0) {
+      return;
+    }
+
+    const entry = {
+      sessionId: session.id,
+      endedAt: session.endedAt || new Date(),
+      cardIds: session.drawnCards
+    };
+    const { maxHistorySessions } = config.game.freshness;
+
+    const writes = userIds.map((userId) => this.cardHistoryRepository.appendSession(
+      getUserHistoryKey(userId),
+      [userId],
+      entry,
+      maxHistorySessions
+    ));
+
+    if (userIds.length > 1) {
+      writes.push(this.cardHistoryRepository.appendSession(
+        getGroupHistoryKey(userIds),
+        userIds,
+        entry,
+        maxHistorySessions
+      ));
+    }
+
+    try {
+      await Promise.all(writes);
+    }
+    catch (error) {
+      logger.error('Error recording card history:', error);
+      // Don't throw - this is non-critical
+    }
+  }
+
+  /**
+   * Move a guest's personal history to a registered user
+   * @param {string} guestId - Guest ID
+   * @param {string} userId - Registered user ID
+   */
+  async claimHistory(guestId, userId) {
+    const guestKey = getUserHistoryKey(guestId);
+    const userKey = getUserHistoryKey(userId);
+    const [guestHistory, userHistory] = await this.cardHistoryRepository.findByOwnerKeys([
+      guestKey,
+      userKey
+    ]);
+
+    if (!guestHistory) {
+      return;
+    }
+
+    const sessions = [...((userHistory && userHistory.sessions) || []), ...guestHistory.sessions]
+      .sort((a, b) => new Date(a.endedAt) - new Date(b.endedAt))
+      .slice(-config.game.freshness.maxHistorySessions);
+
+    await this.cardHistoryRepository.saveSessions(userKey, [userId], sessions);
+    await this.cardHistoryRepository.deleteByOwnerKey(guestKey);
+  }
+
+  /**
+   * Forget everything a user has seen, alone and in groups
+   * @param {string} userId - User ID
+   * @returns {number} Number of cleared histories
+   */
+  async resetHistory(userId) {
+    return this.cardHistoryRepository.deleteByMember(userId);
+  }
+}
+
+module.exports = CardHistoryService;
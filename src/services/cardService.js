@@ -1,16 +1,19 @@
 const CardRepository = require('../repositories/cardRepository');
 const DeckRepository = require('../repositories/deckRepository');
+const CardRatingRepository = require('../repositories/cardRatingRepository');
 const {
   validateCard,
   getCardContent
 } = require('../models/Card');
 const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
 const logger = require('../utils/logger');
 
 class CardService {
   constructor() {
     this.cardRepository = new CardRepository();
     this.deckRepository = new DeckRepository();
+    this.cardRatingRepository = new CardRatingRepository();
   }
 
   /**
@@ -174,6 +177,68 @@ class CardService {
     }));
   }
 
+  /**
+   * Save a player's rating of a card and update the card's rating statistics
+   * @param {Object} rating - { sessionId, cardId, userId, stars, reasons, comment }
+   * @returns {Object} { rating, statistics }
+   */
+  async rateCard(rating) {
+    return this.cardRatingRepository.saveRating(rating);
+  }
+
+  /**
+   * Get a card's rating distribution, reason tags and latest ratings
+   * @param {string} cardId - Card ID
+   * @returns {Object} Rating summary
+   */
+  async getCardRatings(cardId) {
+    const card = await this.cardRepository.findById(cardId);
+    if (!card) {
+      throw new AppError('Card not found', 404);
+    }
+
+    const statistics = card.statistics || {};
+    const recent = await this.cardRatingRepository.findByCardId(
+      cardId,
+      config.game.ratings.recentLimit
+    );
+
+    return {
+      cardId,
+      averageRating: statistics.averageRating || null,
+      feedbackCount: statistics.feedbackCount || 0,
+      distribution: {
+        1: 0, 2: 0, 3: 0, 4: 0, 5: 0, ...statistics.ratingDistribution
+      },
+      reasonCounts: statistics.reasonCounts || {},
+      recent
+    };
+  }
+
+  /**
+   * Find drinking cards without an alcohol-free alternative, which sober
+   * mode sessions leave out of the pool
+   * @param {Array} languages - Languages to check
+   * @returns {Array} Cards with the languages their sober variant is missing in
+   */
+  async getCardsMissingSoberVariants(languages = ['en', 'vn']) {
+    const cards = await this.cardRepository.findByFilters({ involvesDrinking: true });
+
+    return cards
+      .filter((card) => card.status !== 'archived')
+      .map((card) => ({
+        id: card.id,
+        type: card.type,
+        connectionLevel: card.connectionLevel,
+        status: card.status,
+        deckIds: card.deckIds || [],
+        content: card.content,
+        soberContent: card.soberContent || {},
+        missingLanguages: languages.filter((language) => !(card.soberContent || {})[language])
+      }))
+      .filter((card) => card.missingLanguages.length > 0);
+  }
+
   /**
    * Get cards for multiple decks with access control
    * @param {Array} deckIds - Array of deck IDs
@@ -188,10 +253,10 @@ class CardService {
     }
 
     // Get all decks to check their types
-    const decks = this.deckRepository.findByIds(deckIds);
+    const decks = await this.deckRepository.findByIds(deckIds);
 
     // Get cards for all decks
-    const cards = this.cardRepository.findByDeckIds(deckIds, filters);
+    const cards = await this.cardRepository.findByDeckIds(deckIds, filters);
 
     // Filter cards based on deck access
     const accessibleCards = cards.filter((card) => {
@@ -222,7 +287,7 @@ class CardService {
    * @returns {Array} Array of unassigned cards
    */
   async getUnassignedCards(filters = {}, language = 'en') {
-    const cards = this.cardRepository.findUnassignedCards(filters);
+    const cards = await this.cardRepository.findUnassignedCards(filters);
 
     return cards.map((card) => ({
       ...card,
@@ -302,18 +367,42 @@ class CardService {
    * @param {string} cardId - Card ID
    */
   async recordCardSkipped(cardId) {
-    const card = await this.cardRepository.findById(cardId);
-    if (!card) {
-      throw new AppError('Card not found', 404);
-    }
+    await this.cardRepository.recordSkip(cardId);
+  }
 
-    const statistics = card.statistics || {};
-    const timesDrawn = statistics.timesDrawn || 0;
-    const currentSkips = Math.round((statistics.skipRate || 0) * timesDrawn);
+  /**
+   * Record how long a card took to play
+   * @param {string} cardId - Card ID
+   * @param {Object} timer - Finished card timer ({ responseTime, timedOut })
+   */
+  async recordCardTiming(cardId, timer) {
+    await this.cardRepository.recordTiming(cardId, timer);
+  }
 
-    statistics.skipRate = timesDrawn > 0 ? (currentSkips + 1) / (timesDrawn + 1) : 1;
+  /**
+   * Revert a recorded play time (inverse of recordCardTiming)
+   * @param {string} cardId - Card ID
+   * @param {Object} timer - Finished card timer
+   */
+  async revertCardTiming(cardId, timer) {
+    await this.cardRepository.recordTiming(cardId, timer, true);
+  }
 
-    await this.cardRepository.updateStatistics(cardId, statistics);
+  /**
+   * Revert a recorded draw
+   * @param {string} cardId - Card ID
+   * @param {string} language - Language used
+   */
+  async revertCardDrawn(cardId, language = 'en') {
+    await this.cardRepository.decrementLanguageUsage(cardId, language);
+  }
+
+  /**
+   * Revert a recorded skip (inverse of recordCardSkipped)
+   * @param {string} cardId - Card ID
+   */
+  async revertCardSkipped(cardId) {
+    await this.cardRepository.recordSkip(cardId, true);
   }
 
   /**
@@ -0,0 +1,63 @@
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * In-process pub/sub for live game session updates.
+ * Each session ID is its own channel; subscribers are the open
+ * stream connections of the devices following that session.
+ */
+class SessionEventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per connected device, so there is no sensible cap
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Publish an event to everyone following a session
+   * @param {string} sessionId - Session ID
+   * @param {string} type - Event type (e.g. 'card_drawn')
+   * @param {Object} payload - Event payload
+   * @returns {Object} Published event
+   */
+  publish(sessionId, type, payload = {}) {
+    const event = {
+      type,
+      sessionId,
+      payload,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      this.emitter.emit(sessionId, event);
+    }
+    catch (error) {
+      // A broken subscriber must never fail the game action itself
+      logger.error('Error publishing session event:', error);
+    }
+
+    return event;
+  }
+
+  /**
+   * Subscribe to a session channel
+   * @param {string} sessionId - Session ID
+   * @param {Function} listener - Called with each published event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(sessionId, listener) {
+    this.emitter.on(sessionId, listener);
+    return () => this.emitter.off(sessionId, listener);
+  }
+
+  /**
+   * Count connected subscribers for a session
+   * @param {string} sessionId - Session ID
+   * @returns {number} Subscriber count
+   */
+  subscriberCount(sessionId) {
+    return this.emitter.listenerCount(sessionId);
+  }
+}
+
+module.exports = new SessionEventBus();
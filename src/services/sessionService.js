@@ -1,25 +1,359 @@
+const crypto = require('crypto');
 const GameSessionRepository = require('../repositories/gameSessionRepository');
 const CardService = require('./cardService');
 const UserService = require('./userService');
 const DeckService = require('./deckService');
-const { validateGameSession, calculateSessionStats, canDrawCard } = require('../models/GameSession');
+const CardHistoryService = require('./cardHistoryService');
+const sessionEventBus = require('./sessionEventBus');
+const {
+  validateGameSession,
+  calculateSessionStats,
+  calculatePauseDuration,
+  getExpiryReason,
+  createUndoEntry,
+  pushUndoEntry,
+  buildUndoUpdates,
+  buildGuestClaimUpdates,
+  applySessionUpdates,
+  canDrawCard,
+  canJoinSession,
+  generateJoinCode,
+  findActivePlayer,
+  selectNextPlayer,
+  bucketCardPool,
+  createPoolEntry,
+  replacePoolEntry,
+  findPoolEntry,
+  getPoolCandidates,
+  countRemainingCards,
+  toDate
+} = require('../models/GameSession');
+const {
+  getCardContent,
+  hasSoberVariant,
+  isPlayableCard,
+  mergeContentFilters,
+  matchesContentFilters
+} = require('../models/Card');
+const { getDeckText } = require('../models/Deck');
+const { calculateCardPoints, applyPoints, determineGameResult } = require('../utils/scoring');
+const { selectCard, createSeededRandom } = require('../utils/cardSelection');
+const {
+  MAX_LEVEL,
+  resolveProgressionRules,
+  calculateTargetLevel,
+  usesPlayerLevels,
+  getPlayerLevel,
+  getTurnLevel,
+  calculatePlayerTargetLevel,
+  buildLevelProgressionUpdates
+} = require('../utils/progression');
+const { resolveFreshnessRules, excludeSeenCards } = require('../utils/freshness');
+const { buildRecap, toPublicRecap } = require('../utils/recapRenderer');
+const { resolveHouseRules, applyHouseRules } = require('../utils/houseRules');
+const { resolveDrinkingRules, pourSips, summarizePacing } = require('../utils/drinking');
+const {
+  signOfflineBundle,
+  signaturesMatch,
+  buildOfflineBundle,
+  acceptsSync,
+  orderOfflineEvents
+} = require('../utils/offlineBundle');
+const {
+  resolveTimerRules,
+  startCardTimer,
+  finishCardTimer,
+  hasTimedOut,
+  findTimedOutCards,
+  buildTimerResumeUpdates
+} = require('../utils/cardTimers');
+const {
+  createGuestId,
+  isGuestId,
+  createGuestToken,
+  verifyGuestToken
+} = require('../utils/guestToken');
 const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
 const logger = require('../utils/logger');
 
+// Bounds how many stale pool entries a single draw may skip over
+const MAX_DRAW_ATTEMPTS = 5;
+
+/**
+ * Get a session's progression rules (resolved at start; recomputed for
+ * sessions created before rules were stored)
+ * @param {Object} session - Session object
+ * @returns {Object} Progression rules
+ */
+const getProgressionRules = (session) => session.progression
+  || resolveProgressionRules([], (session.configuration || {}).progression);
+
+/**
+ * Record an undoable action on top of the session's undo stack
+ * @param {Object} session - Session before the action
+ * @param {string} action - 'draw', 'complete' or 'skip'
+ * @param {string} cardId - Card ID
+ * @param {string} playerId - Player the action applies to
+ * @returns {Array} New undo stack
+ */
+const trackUndo = (session, action, cardId, playerId) => {
+  const { undoDepth } = session.configuration || {};
+
+  return pushUndoEntry(
+    session,
+    createUndoEntry(session, action, cardId, playerId),
+    undoDepth !== undefined ? undoDepth : config.game.undoDepth
+  );
+};
+
+/**
+ * Evaluate house rules for one or more events and pour the sips they hand
+ * out within the session's drinking safeguards
+ * @param {Object} session - Session object
+ * @param {Array} events - House rule events, in order
+ * @param {Date} now - When the events happened
+ * @returns {Object} { triggered, updates }
+ */
+const evaluateHouseRules = (session, events, now = new Date()) => {
+  let current = session;
+  let updates = {};
+  const triggered = [];
+
+  events.forEach((event) => {
+    const houseRules = applyHouseRules(current, event);
+    triggered.push(...houseRules.triggered);
+    updates = { ...updates, ...houseRules.updates };
+    current = {
+      ...current,
+      players: houseRules.updates.players || current.players,
+      currentPlayerId: houseRules.updates.currentPlayerId || current.currentPlayerId
+    };
+  });
+
+  const drinks = pourSips(session, triggered, now);
+
+  return {
+    triggered: drinks.triggered,
+    updates: { ...updates, ...drinks.updates }
+  };
+};
+
+/**
+ * Plan moving the session to a higher level
+ * @param {Object} session - Session object
+ * @param {number} targetLevel - New level
+ * @param {string} playerId - Player who triggered it, if any
+ * @param {string} trigger - 'progression' or 'host'
+ * @param {Date} now - Reference time
+ * @returns {Object} { updates, events, triggered } with the level_up event
+ *   payloads and the house rules it triggers
+ */
+const planLevelChange = (session, targetLevel, playerId, trigger, now = new Date()) => {
+  // Host level-ups have no acting player; credit whoever's turn it is
+  const leveledBy = playerId || session.currentPlayerId || null;
+  const houseRules = evaluateHouseRules(session, [{
+    type: 'level_up',
+    playerId: leveledBy,
+    level: targetLevel
+  }], now);
+  const updates = {
+    currentLevel: targetLevel,
+    ...buildLevelProgressionUpdates(session, targetLevel, now),
+    // Undoing an earlier action would silently revert the host's level-up
+    ...(trigger === 'host' && { undoStack: [] }),
+    ...houseRules.updates
+  };
+
+  // Decides the first_to_level_4 win condition
+  if (targetLevel === MAX_LEVEL && leveledBy && !session.firstToMaxLevel) {
+    updates.firstToMaxLevel = { playerId: leveledBy, reachedAt: now };
+  }
+
+  return {
+    updates,
+    events: [{ previousLevel: session.currentLevel, currentLevel: targetLevel, trigger }],
+    triggered: houseRules.triggered
+  };
+};
+
+/**
+ * Plan moving players to higher levels ('player' level mode). The
+ * session's own level follows the highest player level.
+ * @param {Object} session - Session object
+ * @param {Array} changes - { playerId, targetLevel } per player
+ * @param {string} trigger - 'progression' or 'host'
+ * @param {Date} now - Reference time
+ * @returns {Object} { updates, events, triggered }
+ */
+const planPlayerLevelChanges = (session, changes, trigger, now = new Date()) => {
+  const players = (session.players || []).map((player) => {
+    const change = changes.find((c) => c.playerId === player.userId);
+    return change ? { ...player, connectionLevel: change.targetLevel } : player;
+  });
+  const sessionLevel = Math.max(session.currentLevel, ...changes.map((c) => c.targetLevel));
+
+  const houseRules = evaluateHouseRules(
+    { ...session, players },
+    changes.map((change) => ({
+      type: 'level_up',
+      playerId: change.playerId,
+      level: change.targetLevel
+    })),
+    now
+  );
+  const updates = {
+    players,
+    currentLevel: sessionLevel,
+    ...buildLevelProgressionUpdates(session, sessionLevel, now),
+    // Undoing an earlier action would silently revert the host's level-up
+    ...(trigger === 'host' && { undoStack: [] }),
+    ...houseRules.updates
+  };
+
+  // Decides the first_to_level_4 win condition
+  const first = changes.find((change) => change.targetLevel === MAX_LEVEL);
+  if (first && trigger === 'progression' && !session.firstToMaxLevel) {
+    updates.firstToMaxLevel = { playerId: first.playerId, reachedAt: now };
+  }
+
+  return {
+    updates,
+    events: changes.map((change) => ({
+      playerId: change.playerId,
+      previousLevel: getPlayerLevel(session, change.playerId),
+      currentLevel: change.targetLevel,
+      trigger
+    })),
+    triggered: houseRules.triggered
+  };
+};
+
+/**
+ * Plan the level changes the session's progression rules call for
+ * @param {Object} session - Session object
+ * @param {string} playerId - Player whose action triggered the check
+ * @param {Date} now - Reference time
+ * @returns {Object|null} Level change plan, or null if levels stay as they are
+ */
+const planLevelProgression = (session, playerId = null, now = new Date()) => {
+  const rules = getProgressionRules(session);
+
+  if (usesPlayerLevels(session)) {
+    const changes = (session.players || [])
+      .map((player) => ({
+        playerId: player.userId,
+        targetLevel: calculatePlayerTargetLevel(session, rules, player.userId)
+      }))
+      .filter((change) => change.targetLevel > getPlayerLevel(session, change.playerId));
+
+    return changes.length > 0
+      ? planPlayerLevelChanges(session, changes, 'progression', now)
+      : null;
+  }
+
+  const targetLevel = calculateTargetLevel(session, rules);
+
+  return targetLevel > session.currentLevel
+    ? planLevelChange(session, targetLevel, playerId, 'progression', now)
+    : null;
+};
+
+/**
+ * Check that a new player may take a seat at the table
+ * @param {Object} session - Session object
+ * @param {string} userId - Joining user ID, if known
+ */
+const assertCanAdmit = (session, userId = null) => {
+  if (userId && (session.kickedPlayerIds || []).includes(userId)) {
+    throw new AppError('You were removed from this session', 403);
+  }
+
+  if (!canJoinSession(session)) {
+    throw new AppError('Lobby is locked', 403);
+  }
+
+  const activePlayers = (session.players || []).filter((player) => player.isActive);
+  if (activePlayers.length >= config.game.maxPlayersPerSession) {
+    throw new AppError('Session is full', 400);
+  }
+};
+
+/**
+ * Resolve which player a card outcome is credited to
+ * @param {Object} session - Session object
+ * @param {string} cardId - Card ID
+ * @param {string} playerId - Explicit player override
+ * @returns {string} Player user ID
+ */
+const resolveScoringPlayer = (session, cardId, playerId) => {
+  if (playerId) {
+    if (!findActivePlayer(session, playerId)) {
+      throw new AppError('Player not found in session', 400);
+    }
+    return playerId;
+  }
+
+  // Default to the player the card was drawn for, then the host
+  return (session.cardAssignments || {})[cardId] || session.hostId;
+};
+
+/**
+ * Make sure a card was drawn and has not been answered either way yet
+ * @param {Object} session - Session object
+ * @param {string} cardId - Card ID
+ */
+const assertCardInPlay = (session, cardId) => {
+  if (!session.drawnCards.includes(cardId)) {
+    throw new AppError('Card not drawn in this session', 400);
+  }
+
+  if (session.completedCards.includes(cardId)) {
+    throw new AppError('Card already completed', 400);
+  }
+
+  if (session.skippedCards.includes(cardId)) {
+    throw new AppError('Card already skipped', 400);
+  }
+};
+
+/**
+ * Stop a card's timer as the card is completed or skipped
+ * @param {Object} session - Session object
+ * @param {string} cardId - Card ID
+ * @param {Date} now - Finish time
+ * @param {boolean} timedOut - Skipped because the timer ran out
+ * @returns {Object} { timer, updates } (no timer for cards drawn before
+ *   play times were tracked)
+ */
+const stopCardTimer = (session, cardId, now, timedOut = false) => {
+  const timer = (session.cardTimers || {})[cardId];
+  if (!timer || timer.finishedAt) {
+    return { timer: null, updates: {} };
+  }
+
+  const finished = finishCardTimer(timer, now, timedOut);
+  return { timer: finished, updates: { [`cardTimers.${cardId}`]: finished } };
+};
+
 class SessionService {
   constructor() {
     this.sessionRepository = new GameSessionRepository();
     this.cardService = new CardService();
     this.userService = new UserService();
     this.deckService = new DeckService();
+    this.cardHistoryService = new CardHistoryService();
+    this.eventBus = sessionEventBus;
   }
 
   /**
    * Start a new game session
    * @param {Object} sessionData - Session data
+   * @param {Object} options - players (besides the host) already at the table,
+   *   excludedCardIds to leave out of the pool if enough cards remain
    * @returns {Object} Created session
    */
-  async startSession(sessionData) {
+  async startSession(sessionData, options = {}) {
     const { error, value } = validateGameSession(sessionData);
     if (error) {
       logger.error('Session validation error:', error.details);
@@ -33,17 +367,77 @@ class SessionService {
 
     value.language = value.language || host.language || 'en';
 
-    value.availableCardPool = this.buildCardPool(
+    const decks = await this.deckService.deckRepository.findByIds(value.selectedDeckIds);
+    const unmixable = decks.find((deck) => deck.features && deck.features.allowMixing === false);
+    if (unmixable && value.selectedDeckIds.length > 1) {
+      throw new AppError(
+        `Deck "${getDeckText(unmixable, 'name', value.language)}" cannot be mixed with other decks`,
+        400
+      );
+    }
+    value.requiredDeckIds = decks
+      .filter((deck) => deck.features && deck.features.requiresAllCards)
+      .map((deck) => deck.id);
+    value.contentFilters = mergeContentFilters(
+      (host.preferences || {}).contentFilters,
+      value.configuration.contentFilters
+    );
+
+    value.freshness = resolveFreshnessRules(value.configuration.freshness);
+    const tablePlayers = options.players || [];
+    value.seenCardIds = await this.cardHistoryService.getSeenCardIds(
+      [host.uid, ...tablePlayers.map((player) => player.userId)],
+      value.freshness
+    );
+
+    const builtPool = await this.buildCardPool(
       value.selectedDeckIds,
       host.unlockedDecks || [],
       value.relationshipType,
-      value.configuration
+      value.configuration,
+      {
+        contentFilters: value.contentFilters,
+        freshness: value.freshness,
+        seenCardIds: value.seenCardIds,
+        soberMode: value.configuration.soberMode,
+        language: value.language
+      }
     );
+    const poolCards = excludeSeenCards(builtPool, { mode: 'exclude' }, options.excludedCardIds);
 
-    if (value.availableCardPool.length === 0) {
+    if (poolCards.length === 0) {
       throw new AppError('No cards available for selected configuration', 400);
     }
 
+    value.availableCardPool = poolCards.map((card) => card.id);
+    value.cardPool = bucketCardPool(poolCards);
+
+    value.progression = resolveProgressionRules(decks, value.configuration.progression);
+
+    // Sober mode turns every sip a house rule hands out into the substitute
+    value.drinking = resolveDrinkingRules({
+      ...value.configuration.drinking,
+      ...(value.configuration.soberMode && { maxSipsPerHour: 0 })
+    });
+
+    const customRules = value.configuration.customRules || {};
+    value.houseRules = resolveHouseRules(customRules, host.houseRulePresets);
+    if (!value.houseRules) {
+      throw new AppError(`House rule preset "${customRules.preset}" not found`, 400);
+    }
+
+    value.timers = resolveTimerRules(value.configuration.timers);
+
+    // Host is always the first player at the table
+    value.players = [{
+      userId: host.uid,
+      displayName: host.displayName,
+      connectionLevel: value.currentLevel,
+      points: 0,
+      isActive: true
+    }, ...tablePlayers];
+    value.joinCode = await this.generateUniqueJoinCode();
+
     const session = await this.sessionRepository.create(value);
 
     await this.userService.recordSession(host.uid, {
@@ -52,262 +446,1669 @@ class SessionService {
       sessionId: session.id
     });
 
+    await this.recordEvent(session.id, 'session_started', {
+      hostId: host.uid,
+      selectedDeckIds: value.selectedDeckIds,
+      cardPoolSize: value.availableCardPool.length
+    });
+
     return session;
   }
 
   /**
-   * Build card pool for session
-   * @param {Array} selectedDeckIds - Selected deck IDs
-   * @param {Array} unlockedDeckIds - User's unlocked deck IDs
-   * @param {string} relationshipType - Relationship type
-   * @param {Object} configuration - Session configuration
-   * @returns {Array} Array of card IDs
-   * @private
+   * Start a new session with the same decks, settings and players as a
+   * finished one, linked to it as the next game in a series. Guest tokens
+   * only cover their own session, so guests rejoin with the new join code.
+   * @param {string} sessionId - Finished session ID
+   * @param {Object} options - startAtPreviousLevel
+   * @returns {Object} Created session
    */
-  async buildCardPool(selectedDeckIds, unlockedDeckIds, relationshipType, configuration) {
-    let cardIds = [];
+  async rematchSession(sessionId, options = {}) {
+    const previous = await this.getSessionById(sessionId);
 
-    if (selectedDeckIds && selectedDeckIds.length > 0) {
-      const deckCards = this.cardService.getCardsForDecks(
-        selectedDeckIds,
-        unlockedDeckIds,
-        { relationshipType }
-      );
-      cardIds = deckCards.map((card) => card.id);
+    if (previous.status !== 'completed') {
+      throw new AppError('Only finished sessions can be rematched', 400);
     }
 
-    if (configuration.includeUnassignedCards) {
-      const unassignedCards = this.cardService.getUnassignedCards({
-        relationshipType
-      });
+    // Claimed before the new session exists, so two rematch requests
+    // cannot both start one
+    await this.sessionRepository.mutate(previous.id, (current) => {
+      if (current.rematchSessionId || current.rematchPending) {
+        throw new AppError('Rematch already started', 400);
+      }
+      return { rematchPending: true };
+    });
 
-      const freeUnassignedCards = unassignedCards
-        .filter((card) => card.tier === 'FREE')
-        .map((card) => card.id);
+    const seriesId = previous.seriesId || previous.id;
+    const seriesIndex = previous.seriesIndex || 1;
 
-      cardIds = [...new Set([...cardIds, ...freeUnassignedCards])];
+    let rematch;
+    try {
+      rematch = await this.startSession({
+        hostId: previous.hostId,
+        relationshipType: previous.relationshipType,
+        selectedDeckIds: previous.selectedDeckIds,
+        language: previous.language,
+        configuration: previous.configuration,
+        currentLevel: options.startAtPreviousLevel ? previous.currentLevel : 1,
+        seriesId,
+        seriesIndex: seriesIndex + 1,
+        previousSessionId: previous.id
+      }, {
+        players: (previous.players || [])
+          .filter((player) => player.isActive && player.userId !== previous.hostId
+            && !isGuestId(player.userId))
+          .map((player) => ({
+            ...player,
+            points: 0,
+            connectionLevel: options.startAtPreviousLevel ? player.connectionLevel || 1 : 1
+          })),
+        excludedCardIds: previous.drawnCards
+      });
     }
+    catch (error) {
+      // Free the claim so the host can try again
+      await this.sessionRepository.mutate(previous.id, () => ({ rematchPending: false }));
+      throw error;
+    }
+
+    await this.sessionRepository.mutate(previous.id, () => ({
+      seriesId,
+      seriesIndex,
+      rematchSessionId: rematch.id,
+      rematchPending: false
+    }));
+
+    // Lets devices still following the old session move to the new one
+    await this.recordEvent(previous.id, 'rematch_started', {
+      rematchSessionId: rematch.id,
+      joinCode: rematch.joinCode
+    });
 
-    return cardIds;
+    return rematch;
   }
 
   /**
-   * Get session by ID
-   * @param {string} sessionId - Session ID
-   * @returns {Object} Session object
+   * Get all sessions of a rematch series, in play order
+   * @param {Object} session - Any session of the series
+   * @returns {Array} Sessions
    */
-  async getSessionById(sessionId) {
-    const session = await this.sessionRepository.findById(sessionId);
-    if (!session) {
-      throw new AppError('Session not found', 404);
+  async getSessionSeries(session) {
+    if (!session.seriesId) {
+      return [session];
     }
 
-    return session;
+    const sessions = await this.sessionRepository.findBySeriesId(session.seriesId);
+
+    return sessions.sort((a, b) => (a.seriesIndex || 1) - (b.seriesIndex || 1));
   }
 
   /**
-   * Draw next card for session
-   * @param {string} sessionId - Session ID
-   * @returns {Object} Drawn card
+   * Generate a join code not used by any open session
+   * @returns {string} Join code
+   * @private
    */
-  async drawCard(sessionId) {
-    const session = await this.getSessionById(sessionId);
+  async generateUniqueJoinCode() {
+    const maxAttempts = 5;
+    const attempt = async (remaining) => {
+      const joinCode = generateJoinCode(config.game.joinCodeLength);
+      const existing = await this.sessionRepository.findByJoinCode(joinCode);
+      if (!existing) {
+        return joinCode;
+      }
+      if (remaining <= 1) {
+        throw new AppError('Failed to generate join code', 500);
+      }
+      return attempt(remaining - 1);
+    };
 
-    if (!canDrawCard(session)) {
-      throw new AppError('Cannot draw card: no cards available or session not active', 400);
+    return attempt(maxAttempts);
+  }
+
+  /**
+   * Join a session lobby by join code
+   * @param {string} joinCode - Lobby join code
+   * @param {string} userId - Joining user ID
+   * @returns {Object} Joined session
+   */
+  async joinSession(joinCode, userId) {
+    const session = await this.sessionRepository.findByJoinCode(joinCode.toUpperCase());
+    if (!session) {
+      throw new AppError('Session not found', 404);
     }
 
-    const availableCardIds = session.availableCardPool.filter(
-      (cardId) => !session.drawnCards.includes(cardId)
-    );
+    const players = session.players || [];
+    const existingPlayer = players.find((player) => player.userId === userId);
 
-    if (availableCardIds.length === 0) {
-      throw new AppError('No more cards available', 400);
+    // Rejoining (e.g. after a dropped connection) is idempotent
+    if (existingPlayer && existingPlayer.isActive) {
+      return session;
     }
 
-    const levelAppropriateCards = this.filterCardsByLevel(
-      availableCardIds,
-      session.currentLevel
-    );
-
-    if (levelAppropriateCards.length === 0) {
-      throw new AppError('No cards available for current connection level', 400);
+    // Guest tokens only ever cover the seat they were issued for
+    if (!existingPlayer && isGuestId(userId)) {
+      throw new AppError('Access denied', 403);
     }
 
-    const randomIndex = Math.floor(Math.random() * levelAppropriateCards.length);
-    const selectedCardId = levelAppropriateCards[randomIndex];
+    assertCanAdmit(session, userId);
 
-    const card = await this.cardService.getCardById(selectedCardId, session.language);
+    let player;
+    if (existingPlayer) {
+      player = { ...existingPlayer, isActive: true };
+    }
+    else {
+      const user = await this.userService.getUserById(userId);
+      player = {
+        userId,
+        displayName: user.displayName,
+        connectionLevel: 1,
+        points: 0,
+        isActive: true
+      };
+    }
 
-    await this.sessionRepository.addDrawnCard(sessionId, selectedCardId);
+    const updatedPlayers = existingPlayer
+      ? players.map((p) => (p.userId === userId ? player : p))
+      : [...players, player];
 
-    await this.cardService.recordCardDrawn(selectedCardId, session.language);
+    return this.addPlayer(session, updatedPlayers, player);
+  }
 
-    if (session.drawnCards.length === 0) {
-      await this.sessionRepository.update(sessionId, { status: 'active' });
+  /**
+   * Join a session lobby as a guest without an account
+   * @param {string} joinCode - Lobby join code
+   * @param {string} displayName - Guest display name
+   * @returns {Object} { session, player, token }
+   */
+  async joinAsGuest(joinCode, displayName) {
+    const session = await this.sessionRepository.findByJoinCode(joinCode.toUpperCase());
+    if (!session) {
+      throw new AppError('Session not found', 404);
     }
 
-    return card;
+    assertCanAdmit(session);
+
+    return this.admitGuest(session, displayName);
+  }
+
+  /**
+   * Host adds a guest player who has no device or account
+   * @param {string} sessionId - Session ID
+   * @param {string} displayName - Guest display name
+   * @returns {Object} { session, player, token }
+   */
+  async addGuestPlayer(sessionId, displayName) {
+    const session = await this.getSessionById(sessionId);
+
+    // The host may seat guests even while the lobby is locked to join codes
+    assertCanAdmit({ ...session, lobbyLocked: false });
+
+    return this.admitGuest(session, displayName);
   }
 
   /**
-   * Filter cards by connection level
-   * @param {Array} cardIds - Card IDs to filter
-   * @param {number} maxLevel - Maximum connection level
-   * @returns {Array} Filtered card IDs
+   * Seat a new guest and issue their session-scoped token
+   * @param {Object} session - Session object
+   * @param {string} displayName - Guest display name
+   * @returns {Object} { session, player, token }
    * @private
    */
-  async filterCardsByLevel(cardIds, maxLevel) {
-    const cards = await Promise.all(
-      cardIds.map((id) => this.cardService.getCardById(id))
+  async admitGuest(session, displayName) {
+    const player = {
+      userId: createGuestId(),
+      displayName,
+      connectionLevel: 1,
+      points: 0,
+      isActive: true,
+      isGuest: true
+    };
+
+    const updatedSession = await this.addPlayer(
+      session,
+      [...(session.players || []), player],
+      player
     );
 
-    return cards
-      .filter((card) => card.connectionLevel <= maxLevel)
-      .map((card) => card.id);
+    return {
+      session: updatedSession,
+      player,
+      token: createGuestToken({
+        guestId: player.userId,
+        sessionId: session.id,
+        displayName
+      })
+    };
   }
 
   /**
-   * Mark card as completed
-   * @param {string} sessionId - Session ID
-   * @param {string} cardId - Card ID
+   * Save the new player list and announce the player
+   * @param {Object} session - Session object
+   * @param {Array} updatedPlayers - Players including the new one
+   * @param {Object} player - Joining player
    * @returns {Object} Updated session
+   * @private
    */
-  async completeCard(sessionId, cardId) {
-    const session = await this.getSessionById(sessionId);
+  async addPlayer(session, updatedPlayers, player) {
+    const updatedSession = await this.sessionRepository.update(session.id, {
+      players: updatedPlayers,
+      seenCardIds: await this.getTableSeenCardIds(session, updatedPlayers)
+    }, { expectedVersion: session.version || 0 });
 
-    if (!session.drawnCards.includes(cardId)) {
-      throw new AppError('Card not drawn in this session', 400);
+    await this.recordEvent(session.id, 'player_joined', { player });
+
+    return updatedSession;
+  }
+
+  /**
+   * Move a guest's seat and card history to a newly registered account
+   * @param {string} guestToken - Token the guest played with (may be expired)
+   * @param {string} userId - Registered user ID
+   * @returns {Object} Updated session
+   */
+  async claimGuestHistory(guestToken, userId) {
+    const guest = verifyGuestToken(guestToken, { allowExpired: true });
+    if (!guest) {
+      throw new AppError('Invalid or expired guest token', 400);
+    }
+
+    const session = await this.getSessionById(guest.sessionId);
+    const players = session.players || [];
+
+    if (!players.some((player) => player.userId === guest.uid)) {
+      throw new AppError('Guest not found or already claimed', 404);
     }
 
-    if (session.completedCards.includes(cardId)) {
-      throw new AppError('Card already completed', 400);
+    if (players.some((player) => player.userId === userId)) {
+      throw new AppError('You already have a seat in this session', 409);
     }
 
-    await this.sessionRepository.addCompletedCard(sessionId, cardId);
+    const updatedSession = await this.sessionRepository.update(
+      session.id,
+      buildGuestClaimUpdates(session, guest.uid, userId),
+      { expectedVersion: session.version || 0 }
+    );
+
+    await this.cardHistoryService.claimHistory(guest.uid, userId);
+
+    await this.recordEvent(session.id, 'guest_claimed', {
+      guestId: guest.uid,
+      userId
+    });
+
+    return updatedSession;
+  }
+
+  /**
+   * Recalculate the cards the players at the table have recently seen
+   * @param {Object} session - Session object
+   * @param {Array} players - Players now at the table
+   * @returns {Array} Seen card IDs
+   * @private
+   */
+  async getTableSeenCardIds(session, players) {
+    const rules = session.freshness
+      || resolveFreshnessRules((session.configuration || {}).freshness);
+    const seenCardIds = await this.cardHistoryService.getSeenCardIds(
+      players.filter((player) => player.isActive).map((player) => player.userId),
+      rules
+    );
 
-    // Check for level progression
-    return await this.checkLevelProgression(sessionId);
+    // Per-player history only grows as people join; group history is
+    // specific to the exact set of players, so it is replaced
+    return rules.scope === 'group'
+      ? seenCardIds
+      : [...new Set([...(session.seenCardIds || []), ...seenCardIds])];
   }
 
   /**
-   * Mark card as skipped
+   * Leave a session
    * @param {string} sessionId - Session ID
-   * @param {string} cardId - Card ID
+   * @param {string} userId - Leaving user ID
    * @returns {Object} Updated session
    */
-  async skipCard(sessionId, cardId) {
+  async leaveSession(sessionId, userId) {
     const session = await this.getSessionById(sessionId);
 
-    if (!session.drawnCards.includes(cardId)) {
-      throw new AppError('Card not drawn in this session', 400);
-    }
-
-    if (session.skippedCards.includes(cardId)) {
-      throw new AppError('Card already skipped', 400);
+    if (session.hostId === userId) {
+      throw new AppError('Host cannot leave the session; end it instead', 400);
     }
 
-    await this.sessionRepository.addSkippedCard(sessionId, cardId);
-
-    // Record skip in card statistics
-    await this.cardService.recordCardSkipped(cardId);
-
-    return await this.getSessionById(sessionId);
+    return this.deactivatePlayer(session, userId, 'player_left');
   }
 
   /**
-   * Check and update level progression
+   * Remove a player from the session lobby
    * @param {string} sessionId - Session ID
+   * @param {string} playerId - Player user ID
    * @returns {Object} Updated session
-   * @private
    */
-  async checkLevelProgression(sessionId) {
+  async kickPlayer(sessionId, playerId) {
     const session = await this.getSessionById(sessionId);
-    const stats = calculateSessionStats(session);
 
-    // Progress to next level after completing certain number of cards
-    const cardsPerLevel = 5; // Configurable
-    const targetLevel = Math.min(
-      Math.floor(stats.completedCards / cardsPerLevel) + 1,
-      4 // Max level
-    );
+    if (session.hostId === playerId) {
+      throw new AppError('Host cannot be removed from the session', 400);
+    }
 
-    if (targetLevel > session.currentLevel) {
-      await this.sessionRepository.update(sessionId, {
-        currentLevel: targetLevel
-      });
+    return this.deactivatePlayer(session, playerId, 'player_kicked', {
+      kickedPlayerIds: [...new Set([...(session.kickedPlayerIds || []), playerId])]
+    });
+  }
 
-      // Record level progression time
-      const analytics = session.analytics || {};
-      analytics.levelProgressionTime = analytics.levelProgressionTime || {};
-      analytics.levelProgressionTime[targetLevel] = new Date() - new Date(session.startedAt);
+  /**
+   * Mark a player inactive and notify the table
+   * @param {Object} session - Session object
+   * @param {string} playerId - Player user ID
+   * @param {string} eventType - Event to publish
+   * @param {Object} extraUpdates - Additional session updates
+   * @returns {Object} Updated session
+   * @private
+   */
+  async deactivatePlayer(session, playerId, eventType, extraUpdates = {}) {
+    const players = session.players || [];
+    const player = players.find((p) => p.userId === playerId);
 
-      await this.sessionRepository.update(sessionId, { analytics });
+    if (!player || !player.isActive) {
+      throw new AppError('Player not found in session', 404);
     }
 
-    return await this.getSessionById(sessionId);
+    const updatedSession = await this.sessionRepository.update(session.id, {
+      ...extraUpdates,
+      players: players.map((p) => (p.userId === playerId ? { ...p, isActive: false } : p))
+    }, { expectedVersion: session.version || 0 });
+
+    await this.recordEvent(session.id, eventType, { playerId });
+
+    return updatedSession;
   }
 
   /**
-   * End game session
+   * Lock or unlock the session lobby
    * @param {string} sessionId - Session ID
-   * @returns {Object} Session statistics
+   * @param {boolean} locked - Lock state
+   * @returns {Object} Updated session
    */
-  async endSession(sessionId) {
+  async setLobbyLocked(sessionId, locked) {
     const session = await this.getSessionById(sessionId);
 
     if (session.status === 'completed') {
       throw new AppError('Session already ended', 400);
     }
 
-    const endTime = new Date();
-    const duration = endTime - new Date(session.startedAt);
+    const updatedSession = await this.sessionRepository.update(sessionId, {
+      lobbyLocked: locked
+    }, { expectedVersion: session.version || 0 });
 
-    // Update session
-    await this.sessionRepository.update(sessionId, {
-      status: 'completed',
-      endedAt: endTime,
-      'analytics.totalDuration': duration
-    });
+    await this.recordEvent(sessionId, locked ? 'lobby_locked' : 'lobby_unlocked', {});
 
-    // Calculate final statistics
-    const stats = calculateSessionStats({
-      ...session,
-      endedAt: endTime
-    });
+    return updatedSession;
+  }
 
-    // Update user statistics
-    await this.userService.recordGamePlayed(session.hostId, {
-      relationshipType: session.relationshipType,
-      connectionLevel: session.currentLevel,
-      sessionDuration: duration
-    });
+  /**
+   * Build card pool for session
+   * @param {Array} selectedDeckIds - Selected deck IDs
+   * @param {Array} unlockedDeckIds - User's unlocked deck IDs
+   * @param {string} relationshipType - Relationship type
+   * @param {Object} configuration - Session configuration
+   * @param {Object} filters - contentFilters (host and session merged),
+   *   freshness rules with seenCardIds, and soberMode with the session language
+   * @returns {Array} Array of playable cards
+   * @private
+   */
+  async buildCardPool(
+    selectedDeckIds,
+    unlockedDeckIds,
+    relationshipType,
+    configuration,
+    filters = {}
+  ) {
+    let cards = [];
 
-    // Update deck statistics
-    for (const deckId of session.selectedDeckIds) {
-      await this.updateDeckSessionStats(deckId, stats);
+    if (selectedDeckIds && selectedDeckIds.length > 0) {
+      cards = await this.cardService.getCardsForDecks(
+        selectedDeckIds,
+        unlockedDeckIds,
+        { relationshipType }
+      );
+    }
+
+    if (configuration.includeUnassignedCards) {
+      const unassignedCards = await this.cardService.getUnassignedCards({
+        relationshipType
+      });
+
+      cards = [...cards, ...unassignedCards.filter((card) => card.tier === 'FREE')];
     }
 
-    return stats;
+    const uniqueCards = new Map();
+    cards
+      .filter((card) => isPlayableCard(card)
+        && (!card.relationshipTypes || card.relationshipTypes.includes(relationshipType))
+        && matchesContentFilters(card, filters.contentFilters)
+        && (!filters.soberMode || hasSoberVariant(card, filters.language)))
+      .forEach((card) => uniqueCards.set(card.id, card));
+
+    return excludeSeenCards(
+      Array.from(uniqueCards.values()),
+      filters.freshness,
+      filters.seenCardIds
+    );
   }
 
   /**
-   * Update deck session statistics
-   * @param {string} deckId - Deck ID
-   * @param {Object} sessionStats - Session statistics
+   * Record a session action: publish it to live subscribers and append it
+   * to the session's event log
+   * @param {string} sessionId - Session ID
+   * @param {string} type - Event type (e.g. 'card_drawn')
+   * @param {Object} payload - Live event payload
+   * @param {Object} options - logPayload: payload to store, if slimmer than
+   *   the live one; at: when it happened, for events reconciled from offline play
    * @private
    */
-  async updateDeckSessionStats(deckId, sessionStats) {
+  async recordEvent(sessionId, type, payload = {}, options = {}) {
+    const { logPayload = payload, at = null } = options;
+    const event = this.eventBus.publish(sessionId, type, payload);
+
     try {
-      const deck = await this.deckService.getDeckById(deckId);
-      const statistics = deck.statistics || {};
+      await this.sessionRepository.appendEvent(sessionId, {
+        type,
+        payload: logPayload,
+        timestamp: at ? toDate(at) : new Date(event.timestamp)
+      });
+    }
+    catch (error) {
+      // The action itself already succeeded
+      logger.error('Error appending session event:', error);
+    }
+  }
 
-      statistics.sessionsPlayed = (statistics.sessionsPlayed || 0) + 1;
-      statistics.lastPlayedAt = new Date();
+  /**
+   * Get a session's event log in order
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - { after, limit }
+   * @returns {Array} Events
+   */
+  async getSessionEvents(sessionId, options = {}) {
+    return this.sessionRepository.findEvents(sessionId, options);
+  }
 
-      // Update average completion rate
-      const currentAvg = statistics.averageCompletion || 0;
-      statistics.averageCompletion = ((currentAvg * (statistics.sessionsPlayed - 1)) + sessionStats.completionRate) / statistics.sessionsPlayed;
+  /**
+   * Get session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Session object
+   */
+  async getSessionById(sessionId) {
+    const session = await this.sessionRepository.findById(sessionId);
+    if (!session) {
+      throw new AppError('Session not found', 404);
+    }
+
+    return session;
+  }
+
+  /**
+   * Draw next card for session
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - { playerId } picked by the host for 'host_picks' turn order,
+   *   { partnerId } for a card played by a pair ('player' level mode)
+   * @returns {Object} Drawn card, with the player it was drawn for, the
+   *   house rules it triggered, the session level and the cards remaining
+   */
+  async drawCard(sessionId, options = {}) {
+    let session = await this.getSessionById(sessionId);
+
+    // Time-based progression may have unlocked a level since the last action
+    if (getProgressionRules(session).mode === 'time') {
+      session = await this.checkLevelProgression(sessionId);
+    }
+    const levelRules = session.triggeredRules || [];
+
+    // Cards whose timer ran out are skipped before the next one is dealt
+    if (await this.skipTimedOutCards(session) > 0) {
+      session = await this.getSessionById(sessionId);
+    }
+
+    if (!canDrawCard(session)) {
+      throw new AppError('Cannot draw card: no cards available or session not active', 400);
+    }
+
+    const playerId = selectNextPlayer(session, { requestedPlayerId: options.playerId });
+    if (!playerId) {
+      const hostPicks = (session.configuration || {}).turnOrder === 'host_picks';
+      throw new AppError(
+        hostPicks && !options.playerId
+          ? 'Player ID is required when the host picks turns'
+          : 'No active player available for this turn',
+        400
+      );
+    }
+
+    const { partnerId } = options;
+    if (partnerId && (partnerId === playerId || !(session.players || []).some(
+      (player) => player.userId === partnerId && player.isActive
+    ))) {
+      throw new AppError('Partner must be another active player', 400);
+    }
+
+    // The player's own level (or the pair's) in 'player' level mode
+    const level = getTurnLevel(session, playerId, partnerId);
+
+    const configuration = session.configuration || {};
+    const random = configuration.selectionSeed !== undefined
+      ? createSeededRandom(`${configuration.selectionSeed}:${session.drawnCards.length}`)
+      : Math.random;
+
+    if (!session.cardPool) {
+      session = await this.snapshotCardPool(session);
+    }
+
+    if (getPoolCandidates(session, level).length === 0) {
+      throw new AppError('No cards available for current connection level', 400);
+    }
+
+    const pick = await this.pickCardFromPool({ ...session, currentLevel: level }, {
+      strategy: configuration.selectionStrategy,
+      random
+    });
+    const poolUpdates = pick.poolChanged
+      ? { cardPool: pick.session.cardPool, retiredCardIds: pick.session.retiredCardIds }
+      : {};
+
+    if (!pick.card) {
+      if (pick.poolChanged) {
+        await this.sessionRepository.update(sessionId, poolUpdates, {
+          expectedVersion: session.version || 0
+        });
+      }
+      throw new AppError('No cards available for current connection level', 400);
+    }
+
+    const { card } = pick;
+    const cardsRemaining = countRemainingCards(pick.session) - 1;
+    const drawn = await this.recordDraw(session, card, playerId, {
+      partnerId,
+      turnLevel: level,
+      cardsRemaining
+    }, poolUpdates);
+
+    card.playerId = drawn.playerId;
+    card.currentLevel = session.currentLevel;
+    card.turnLevel = level;
+    card.cardsRemaining = cardsRemaining;
+    card.timer = drawn.timer;
+    card.triggeredRules = [...levelRules, ...drawn.triggered];
+
+    return card;
+  }
+
+  /**
+   * Record a card as drawn: house rules, turn state, card statistics and
+   * the card_drawn event
+   * @param {Object} session - Session before the draw
+   * @param {Object} card - Drawn card (or its pool entry)
+   * @param {string} playerId - Player the card was drawn for
+   * @param {Object} details - { partnerId, turnLevel, cardsRemaining } for the
+   *   event; offline and at (when it happened) for draws reconciled from an
+   *   offline event log
+   * @param {Object} extraUpdates - Session updates written with the draw
+   * @returns {Object} { playerId, triggered, timer }: the player holding the
+   *   card after passed turns, the house rules it triggered and its timer
+   * @private
+   */
+  async recordDraw(session, card, playerId, details, extraUpdates = {}) {
+    const {
+      partnerId, turnLevel, cardsRemaining, offline, at
+    } = details;
+    const now = at ? toDate(at) : new Date();
+    const timer = startCardTimer(card, session.timers || resolveTimerRules(), now);
+
+    const houseRules = evaluateHouseRules(session, [{
+      type: 'card_drawn',
+      playerId,
+      cardId: card.id,
+      cardType: card.type,
+      level: card.connectionLevel
+    }], now);
+    const cardPlayerId = houseRules.updates.currentPlayerId || playerId;
+
+    await this.sessionRepository.update(session.id, {
+      ...extraUpdates,
+      drawnCards: [...session.drawnCards, card.id],
+      currentPlayerId: playerId,
+      [`cardAssignments.${card.id}`]: playerId,
+      [`cardTimers.${card.id}`]: timer,
+      [`drawnTypeCounts.${card.type}`]: ((session.drawnTypeCounts || {})[card.type] || 0) + 1,
+      lastDrawnType: card.type,
+      undoStack: trackUndo(session, 'draw', card.id, playerId),
+      ...(session.drawnCards.length === 0 && { status: 'active' }),
+      ...houseRules.updates
+    }, { expectedVersion: session.version || 0 });
+
+    await this.cardService.recordCardDrawn(card.id, session.language);
+
+    const eventDetails = {
+      playerId: cardPlayerId,
+      ...(partnerId && { partnerId }),
+      currentLevel: session.currentLevel,
+      turnLevel,
+      cardsRemaining,
+      ...(timer.deadline && { durationSeconds: timer.durationSeconds, deadline: timer.deadline }),
+      ...(offline && { offline: true })
+    };
+    await this.recordEvent(session.id, 'card_drawn', { card, ...eventDetails }, {
+      logPayload: {
+        cardId: card.id,
+        cardType: card.type,
+        connectionLevel: card.connectionLevel,
+        ...eventDetails
+      },
+      at
+    });
+    await this.announceHouseRules(session.id, houseRules.triggered, at);
+
+    return { playerId: cardPlayerId, triggered: houseRules.triggered, timer };
+  }
+
+  /**
+   * Select a card from the pool snapshot and load it. Entries whose card
+   * was archived, deleted or moved above the current level since the
+   * snapshot are corrected and another card is tried.
+   * @param {Object} session - Session object with cardPool
+   * @param {Object} selection - { strategy, random } for selectCard
+   * @param {number} attemptsLeft - Remaining attempts
+   * @returns {Object} { card, session, poolChanged }
+   * @private
+   */
+  async pickCardFromPool(session, selection, attemptsLeft = MAX_DRAW_ATTEMPTS) {
+    const candidates = getPoolCandidates(session, session.currentLevel);
+    if (candidates.length === 0 || attemptsLeft === 0) {
+      return { card: null, session, poolChanged: attemptsLeft < MAX_DRAW_ATTEMPTS };
+    }
+
+    const deprioritizeSeen = (session.freshness || {}).mode === 'deprioritize';
+    const entry = selectCard(candidates, {
+      currentLevel: session.currentLevel,
+      typeCounts: session.drawnTypeCounts,
+      lastType: session.lastDrawnType,
+      seenCardIds: deprioritizeSeen ? session.seenCardIds : []
+    }, selection);
+
+    const card = await this.cardService.cardRepository.findById(entry.id);
+
+    // Cards edited into a filtered category (or into needing a sober
+    // variant) since the snapshot are retired too
+    const { soberMode } = session.configuration || {};
+    if (!isPlayableCard(card)
+      || !matchesContentFilters(card, session.contentFilters)
+      || (soberMode && !hasSoberVariant(card, session.language))) {
+      return this.pickCardFromPool({
+        ...session,
+        retiredCardIds: [...(session.retiredCardIds || []), entry.id]
+      }, selection, attemptsLeft - 1);
+    }
+
+    const freshEntry = createPoolEntry(card);
+    const edited = freshEntry.connectionLevel !== entry.connectionLevel
+      || freshEntry.type !== entry.type;
+    const nextSession = edited
+      ? { ...session, cardPool: replacePoolEntry(session.cardPool, entry, freshEntry) }
+      : session;
+
+    if (freshEntry.connectionLevel > session.currentLevel) {
+      return this.pickCardFromPool(nextSession, selection, attemptsLeft - 1);
+    }
+
+    card.displayContent = getCardContent(card, session.language, soberMode);
+
+    return {
+      card,
+      session: nextSession,
+      poolChanged: edited || attemptsLeft < MAX_DRAW_ATTEMPTS
+    };
+  }
+
+  /**
+   * Build and persist the pool snapshot for sessions started before
+   * snapshots existed. Reads each pool card once.
+   * @param {Object} session - Session object
+   * @returns {Object} Updated session
+   * @private
+   */
+  async snapshotCardPool(session) {
+    const cards = await Promise.all(
+      session.availableCardPool.map((id) => this.cardService.cardRepository.findById(id))
+    );
+
+    const cardPool = bucketCardPool(cards.filter((card) => card !== null));
+
+    return this.sessionRepository.update(session.id, { cardPool }, {
+      expectedVersion: session.version || 0
+    });
+  }
+
+  /**
+   * Mark card as completed
+   * @param {string} sessionId - Session ID
+   * @param {string} cardId - Card ID
+   * @param {string} playerId - Player who answered (defaults to the card's player)
+   * @param {Object} options - at: when it happened (offline sync)
+   * @returns {Object} Updated session, with the house rules it triggered;
+   *   timedOut is set when the card was skipped instead because its timer ran out
+   */
+  async completeCard(sessionId, cardId, playerId = null, options = {}) {
+    const session = await this.getSessionById(sessionId);
+    const now = options.at ? toDate(options.at) : new Date();
+
+    if (session.status === 'paused') {
+      throw new AppError('Session is paused', 400);
+    }
+
+    assertCardInPlay(session, cardId);
+
+    // With auto-skip on, an answer after the timer ran out counts as a skip
+    const timerRules = session.timers || resolveTimerRules();
+    const runningTimer = (session.cardTimers || {})[cardId];
+    if (timerRules.autoSkip && hasTimedOut(runningTimer, timerRules, now)) {
+      const skipped = await this.skipCard(sessionId, cardId, null, {
+        at: runningTimer.deadline,
+        timedOut: true
+      });
+      return { ...skipped, timedOut: true };
+    }
+
+    const scoringPlayerId = resolveScoringPlayer(session, cardId, playerId);
+    const card = findPoolEntry(session, cardId) || await this.cardService.getCardById(cardId);
+    const points = calculateCardPoints(card);
+    const players = applyPoints(session.players || [], scoringPlayerId, points);
+    const houseRules = evaluateHouseRules({ ...session, players }, [{
+      type: 'card_completed',
+      playerId: scoringPlayerId,
+      cardId,
+      cardType: card.type,
+      level: card.connectionLevel
+    }], now);
+    const timing = stopCardTimer(session, cardId, now);
+
+    const updates = {
+      completedCards: [...session.completedCards, cardId],
+      players,
+      undoStack: trackUndo(session, 'complete', cardId, scoringPlayerId),
+      ...timing.updates,
+      ...houseRules.updates
+    };
+
+    // Written together with the completion, so two devices completing
+    // cards at once cannot both level the session up
+    const progression = planLevelProgression(
+      applySessionUpdates(session, updates),
+      scoringPlayerId,
+      now
+    );
+
+    const updatedSession = await this.sessionRepository.update(sessionId, {
+      ...updates,
+      ...(progression && progression.updates)
+    }, { expectedVersion: session.version || 0 });
+
+    if (timing.timer) {
+      await this.cardService.recordCardTiming(cardId, timing.timer);
+    }
+
+    await this.recordEvent(sessionId, 'card_completed', {
+      cardId,
+      playerId: scoringPlayerId,
+      points,
+      completedCount: session.completedCards.length + 1,
+      ...(timing.timer && { responseTime: timing.timer.responseTime })
+    }, { at: options.at });
+    await this.announceHouseRules(sessionId, houseRules.triggered, options.at);
+    if (progression) {
+      await this.announceLevelChange(sessionId, progression, options.at);
+    }
+
+    return {
+      ...updatedSession,
+      triggeredRules: [...houseRules.triggered, ...(progression ? progression.triggered : [])]
+    };
+  }
+
+  /**
+   * Mark card as skipped
+   * @param {string} sessionId - Session ID
+   * @param {string} cardId - Card ID
+   * @param {string} playerId - Player who skipped (defaults to the card's player)
+   * @param {Object} options - at: when it happened (offline sync), timedOut
+   *   for cards skipped because their timer ran out
+   * @returns {Object} Updated session, with the house rules it triggered
+   */
+  async skipCard(sessionId, cardId, playerId = null, options = {}) {
+    const session = await this.getSessionById(sessionId);
+    const now = options.at ? toDate(options.at) : new Date();
+
+    if (session.status === 'paused') {
+      throw new AppError('Session is paused', 400);
+    }
+
+    assertCardInPlay(session, cardId);
+
+    const scoringPlayerId = resolveScoringPlayer(session, cardId, playerId);
+    const penalty = config.game.scoring.skipPenalty;
+    const players = applyPoints(session.players || [], scoringPlayerId, -penalty);
+    const entry = findPoolEntry(session, cardId) || {};
+    const houseRules = evaluateHouseRules({ ...session, players }, [{
+      type: 'card_skipped',
+      playerId: scoringPlayerId,
+      cardId,
+      cardType: entry.type,
+      level: entry.connectionLevel
+    }], now);
+    const timing = stopCardTimer(session, cardId, now, Boolean(options.timedOut));
+
+    const updates = {
+      skippedCards: [...session.skippedCards, cardId],
+      players,
+      undoStack: trackUndo(session, 'skip', cardId, scoringPlayerId),
+      ...timing.updates,
+      ...houseRules.updates
+    };
+
+    // Skips only move the level when the progression rules count them
+    const progression = planLevelProgression(
+      applySessionUpdates(session, updates),
+      scoringPlayerId,
+      now
+    );
+
+    const updatedSession = await this.sessionRepository.update(sessionId, {
+      ...updates,
+      ...(progression && progression.updates)
+    }, { expectedVersion: session.version || 0 });
+
+    // Record skip in card statistics
+    await this.cardService.recordCardSkipped(cardId);
+    if (timing.timer) {
+      await this.cardService.recordCardTiming(cardId, timing.timer);
+    }
+
+    await this.recordEvent(sessionId, 'card_skipped', {
+      cardId,
+      playerId: scoringPlayerId,
+      penalty,
+      skippedCount: session.skippedCards.length + 1,
+      ...(timing.timer && { responseTime: timing.timer.responseTime }),
+      ...(options.timedOut && { timedOut: true })
+    }, { at: options.at });
+    await this.announceHouseRules(sessionId, houseRules.triggered, options.at);
+    if (progression) {
+      await this.announceLevelChange(sessionId, progression, options.at);
+    }
+
+    return {
+      ...updatedSession,
+      triggeredRules: [...houseRules.triggered, ...(progression ? progression.triggered : [])]
+    };
+  }
+
+  /**
+   * Undo the most recent draw, complete or skip, including the level
+   * progression and card statistics it caused
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Updated session and the undone action
+   */
+  async undoLastAction(sessionId) {
+    const session = await this.getSessionById(sessionId);
+
+    if (!['waiting', 'active'].includes(session.status)) {
+      throw new AppError('Session is not active', 400);
+    }
+
+    const undoStack = session.undoStack || [];
+    if (undoStack.length === 0) {
+      throw new AppError('Nothing to undo', 400);
+    }
+
+    const entry = undoStack[undoStack.length - 1];
+    const updatedSession = await this.sessionRepository.update(
+      sessionId,
+      buildUndoUpdates(session, entry),
+      { expectedVersion: session.version || 0 }
+    );
+
+    if (entry.action === 'draw') {
+      await this.cardService.revertCardDrawn(entry.cardId, session.language);
+    }
+    else if (entry.action === 'skip') {
+      await this.cardService.revertCardSkipped(entry.cardId);
+    }
+
+    const timer = (session.cardTimers || {})[entry.cardId];
+    if (entry.action !== 'draw' && timer && timer.finishedAt) {
+      await this.cardService.revertCardTiming(entry.cardId, timer);
+    }
+
+    const undone = {
+      action: entry.action,
+      cardId: entry.cardId,
+      playerId: entry.playerId
+    };
+    await this.recordEvent(sessionId, 'action_undone', undone);
+
+    return { session: updatedSession, undone };
+  }
+
+  /**
+   * Hand the host's client what it needs to keep playing without a
+   * connection. Issuing a bundle supersedes the previous one.
+   * @param {string} sessionId - Session ID
+   * @returns {Object} { bundle, signature }
+   */
+  async createOfflineBundle(sessionId) {
+    const session = await this.getSessionById(sessionId);
+
+    if (!['waiting', 'active'].includes(session.status)) {
+      throw new AppError('Session is not active', 400);
+    }
+
+    const pooled = session.cardPool ? session : await this.snapshotCardPool(session);
+    const entries = getPoolCandidates(pooled, MAX_LEVEL);
+    const { soberMode } = session.configuration || {};
+
+    // Cards edited into a filtered category since the snapshot stay out
+    const cards = (await Promise.all(
+      entries.map((entry) => this.cardService.cardRepository.findById(entry.id))
+    )).filter((card) => isPlayableCard(card)
+      && matchesContentFilters(card, session.contentFilters)
+      && (!soberMode || hasSoberVariant(card, session.language)));
+
+    const bundle = buildOfflineBundle(session, cards, getProgressionRules(session));
+    const signature = signOfflineBundle(bundle);
+
+    await this.sessionRepository.update(sessionId, {
+      offlineBundle: {
+        id: bundle.id,
+        signature,
+        issuedAt: bundle.issuedAt,
+        expiresAt: bundle.expiresAt,
+        cardIds: cards.map((card) => card.id),
+        syncedEventIds: []
+      }
+    }, { expectedVersion: pooled.version || 0 });
+
+    await this.recordEvent(sessionId, 'offline_bundle_issued', {
+      bundleId: bundle.id,
+      expiresAt: bundle.expiresAt,
+      cardCount: cards.length
+    });
+
+    return { bundle, signature };
+  }
+
+  /**
+   * Reconcile the event log a client kept while offline. Events are
+   * replayed in the order they happened; events already reconciled are
+   * reported as duplicates, and events the session no longer allows (a
+   * card drawn online meanwhile, a card already answered) as conflicts.
+   * @param {string} sessionId - Session ID
+   * @param {Object} sync - { bundleId, signature, events }
+   * @returns {Object} { results, session } with a status per event
+   */
+  async syncOfflineEvents(sessionId, { bundleId, signature, events }) {
+    const session = await this.getSessionById(sessionId);
+    const bundle = session.offlineBundle;
+
+    if (!bundle || bundle.id !== bundleId || !signaturesMatch(signature, bundle.signature)) {
+      throw new AppError('Offline bundle is invalid or was superseded', 400);
+    }
+
+    if (!acceptsSync(bundle)) {
+      throw new AppError('Offline bundle has expired', 410);
+    }
+
+    const syncedEventIds = new Set(bundle.syncedEventIds || []);
+
+    // One at a time: each event builds on the session state the previous left
+    const results = await orderOfflineEvents(events).reduce(async (previous, event) => {
+      const reconciled = await previous;
+      const result = await this.reconcileOfflineEvent(sessionId, bundleId, event, syncedEventIds);
+      return [...reconciled, result];
+    }, Promise.resolve([]));
+
+    const count = (status) => results.filter((result) => result.status === status).length;
+    await this.recordEvent(sessionId, 'offline_synced', {
+      bundleId,
+      applied: count('applied'),
+      duplicates: count('duplicate'),
+      conflicts: count('conflict')
+    });
+
+    return { results, session: await this.getSessionById(sessionId) };
+  }
+
+  /**
+   * Reconcile one offline event and remember it as synced
+   * @param {string} sessionId - Session ID
+   * @param {string} bundleId - Bundle the event was played from
+   * @param {Object} event - Offline event
+   * @param {Set} syncedEventIds - Event IDs already reconciled from the bundle
+   * @returns {Object} { eventId, status, reason }
+   * @private
+   */
+  async reconcileOfflineEvent(sessionId, bundleId, event, syncedEventIds) {
+    if (syncedEventIds.has(event.eventId)) {
+      return { eventId: event.eventId, status: 'duplicate' };
+    }
+
+    let result = { eventId: event.eventId, status: 'applied' };
+    try {
+      await this.applyOfflineEvent(sessionId, event);
+    }
+    catch (error) {
+      // A concurrent write (409) is worth retrying, unlike an event the
+      // session no longer allows
+      if (!(error instanceof AppError) || error.statusCode === 409
+        || error.statusCode >= 500) {
+        throw error;
+      }
+      result = { eventId: event.eventId, status: 'conflict', reason: error.message };
+    }
+
+    // Saved per event, so a sync retried after a failure resumes where it stopped
+    syncedEventIds.add(event.eventId);
+    await this.sessionRepository.mutate(sessionId, (current) => {
+      const currentBundle = current.offlineBundle;
+      if (!currentBundle || currentBundle.id !== bundleId) {
+        return null;
+      }
+
+      return {
+        'offlineBundle.syncedEventIds': [
+          ...new Set([...(currentBundle.syncedEventIds || []), event.eventId])
+        ].slice(-config.game.offline.maxSyncedEventIds)
+      };
+    });
+
+    return result;
+  }
+
+  /**
+   * Apply one offline event through the same flow as its online action
+   * @param {string} sessionId - Session ID
+   * @param {Object} event - { type, cardId, playerId, partnerId }
+   * @private
+   */
+  async applyOfflineEvent(sessionId, event) {
+    const session = await this.getSessionById(sessionId);
+
+    if (session.status === 'completed') {
+      throw new AppError('Session already ended', 400);
+    }
+
+    switch (event.type) {
+      case 'card_drawn':
+        return this.applyOfflineDraw(session, event);
+      case 'card_completed':
+        return this.completeCard(sessionId, event.cardId, event.playerId, { at: event.occurredAt });
+      case 'card_skipped':
+        return this.skipCard(sessionId, event.cardId, event.playerId, { at: event.occurredAt });
+      case 'session_ended':
+        return this.endSession(sessionId, 'host', { at: event.occurredAt });
+      default:
+        throw new AppError(`Unsupported offline event: ${event.type}`, 400);
+    }
+  }
+
+  /**
+   * Record a card the client drew offline from its bundle
+   * @param {Object} session - Session object
+   * @param {Object} event - { cardId, playerId, partnerId }
+   * @private
+   */
+  async applyOfflineDraw(session, event) {
+    const { cardId, playerId, partnerId } = event;
+
+    if (!['waiting', 'active'].includes(session.status)) {
+      throw new AppError('Session is not active', 400);
+    }
+
+    if (!(session.offlineBundle.cardIds || []).includes(cardId)) {
+      throw new AppError('Card was not in the offline bundle', 400);
+    }
+
+    if (session.drawnCards.includes(cardId)) {
+      throw new AppError('Card already drawn', 400);
+    }
+
+    const entry = findPoolEntry(session, cardId);
+    if (!entry || (session.retiredCardIds || []).includes(cardId)) {
+      throw new AppError('Card is no longer in the session pool', 400);
+    }
+
+    if (!findActivePlayer(session, playerId)) {
+      throw new AppError('Player not found in session', 400);
+    }
+
+    await this.recordDraw(session, entry, playerId, {
+      partnerId,
+      turnLevel: getTurnLevel(session, playerId, partnerId),
+      cardsRemaining: countRemainingCards(session) - 1,
+      offline: true,
+      at: event.occurredAt
+    });
+  }
+
+  /**
+   * Rate a card drawn in this session (a player's later rating of the same
+   * card replaces their earlier one)
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Rating player
+   * @param {Object} feedback - { cardId, stars, reasons, comment }
+   * @returns {Object} Saved rating with the card's new average and count
+   */
+  async rateCard(sessionId, userId, feedback) {
+    const session = await this.getSessionById(sessionId);
+
+    if (!session.drawnCards.includes(feedback.cardId)) {
+      throw new AppError('Card not drawn in this session', 400);
+    }
+
+    const { rating, statistics } = await this.cardService.rateCard({
+      sessionId,
+      cardId: feedback.cardId,
+      userId,
+      stars: feedback.stars,
+      reasons: feedback.reasons || [],
+      ...(feedback.comment && { comment: feedback.comment })
+    });
+
+    await this.recordEvent(sessionId, 'card_rated', {
+      cardId: feedback.cardId,
+      playerId: userId,
+      stars: feedback.stars
+    });
+
+    return {
+      rating,
+      averageRating: statistics.averageRating,
+      feedbackCount: statistics.feedbackCount
+    };
+  }
+
+  /**
+   * Set a player's personal sip cap for this session
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Player
+   * @param {number|null} maxSipsPerHour - Cap (0 = not drinking), null to use the session's
+   * @returns {Object} Updated session
+   */
+  async setSipLimit(sessionId, userId, maxSipsPerHour) {
+    const session = await this.getSessionById(sessionId);
+    const players = session.players || [];
+
+    if (!players.some((player) => player.userId === userId)) {
+      throw new AppError('Player not found in this session', 404);
+    }
+
+    const updatedSession = await this.sessionRepository.update(sessionId, {
+      players: players.map((player) => {
+        if (player.userId !== userId) {
+          return player;
+        }
+
+        const updated = { ...player, maxSipsPerHour };
+        if (maxSipsPerHour === null) {
+          delete updated.maxSipsPerHour;
+        }
+        return updated;
+      })
+    }, { expectedVersion: session.version || 0 });
+
+    await this.recordEvent(sessionId, 'sip_limit_changed', { playerId: userId, maxSipsPerHour });
+
+    return updatedSession;
+  }
+
+  /**
+   * Check and update level progression
+   * @param {string} sessionId - Session ID
+   * @param {string} playerId - Player whose completion triggered the check
+   * @returns {Object} Updated session
+   * @private
+   */
+  async checkLevelProgression(sessionId, playerId = null) {
+    const session = await this.getSessionById(sessionId);
+    const plan = planLevelProgression(session, playerId);
+
+    return plan ? this.applyLevelChange(session, plan) : session;
+  }
+
+  /**
+   * Host-triggered level up
+   * @param {string} sessionId - Session ID
+   * @param {string} playerId - Player to level up ('player' level mode only)
+   * @returns {Object} Updated session, with the house rules it triggered
+   */
+  async levelUp(sessionId, playerId = null) {
+    const session = await this.getSessionById(sessionId);
+    const rules = getProgressionRules(session);
+
+    if (!rules.allowHostLevelUp && rules.mode !== 'manual') {
+      throw new AppError('Host level-ups are disabled for this session', 400);
+    }
+
+    if (!['waiting', 'active'].includes(session.status)) {
+      throw new AppError('Session is not active', 400);
+    }
+
+    if (usesPlayerLevels(session)) {
+      if (!(session.players || []).some((player) => player.userId === playerId)) {
+        throw new AppError('Player ID is required when players have their own levels', 400);
+      }
+
+      const level = getPlayerLevel(session, playerId);
+      if (level >= MAX_LEVEL) {
+        throw new AppError('Player is already at the highest level', 400);
+      }
+
+      return this.applyLevelChange(
+        session,
+        planPlayerLevelChanges(session, [{ playerId, targetLevel: level + 1 }], 'host')
+      );
+    }
+
+    if (session.currentLevel >= MAX_LEVEL) {
+      throw new AppError('Session is already at the highest level', 400);
+    }
+
+    return this.applyLevelChange(
+      session,
+      planLevelChange(session, session.currentLevel + 1, null, 'host')
+    );
+  }
+
+  /**
+   * Write a planned level change and announce it
+   * @param {Object} session - Session the plan was made from
+   * @param {Object} plan - Level change plan
+   * @returns {Object} Updated session, with the house rules it triggered
+   * @private
+   */
+  async applyLevelChange(session, plan) {
+    const updatedSession = await this.sessionRepository.update(session.id, plan.updates, {
+      expectedVersion: session.version || 0
+    });
+
+    await this.announceLevelChange(session.id, plan);
+
+    return { ...updatedSession, triggeredRules: plan.triggered };
+  }
+
+  /**
+   * Record the level_up events of a written level change plan
+   * @param {string} sessionId - Session ID
+   * @param {Object} plan - Level change plan
+   * @param {Date} at - When it happened, for offline play
+   * @private
+   */
+  async announceLevelChange(sessionId, plan, at = null) {
+    await Promise.all(plan.events.map((event) => this.recordEvent(sessionId, 'level_up', event, { at })));
+    await this.announceHouseRules(sessionId, plan.triggered, at);
+  }
+
+  /**
+   * Tell the table which house rules just fired
+   * @param {string} sessionId - Session ID
+   * @param {Array} triggered - Triggered rules
+   * @param {Date} at - When they fired, for offline play
+   * @private
+   */
+  async announceHouseRules(sessionId, triggered, at = null) {
+    if (triggered.length > 0) {
+      await this.recordEvent(sessionId, 'house_rules_triggered', { rules: triggered }, { at });
+    }
+  }
+
+  /**
+   * Pause game session
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Updated session
+   */
+  async pauseSession(sessionId) {
+    const session = await this.getSessionById(sessionId);
+
+    if (session.status !== 'active') {
+      throw new AppError('Only active sessions can be paused', 400);
+    }
+
+    const pausedAt = new Date();
+    const updatedSession = await this.sessionRepository.update(sessionId, {
+      status: 'paused',
+      pausedAt
+    }, { expectedVersion: session.version || 0 });
+
+    await this.recordEvent(sessionId, 'session_paused', { pausedAt });
+
+    return updatedSession;
+  }
+
+  /**
+   * Resume paused game session
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Updated session
+   */
+  async resumeSession(sessionId) {
+    const session = await this.getSessionById(sessionId);
+
+    if (session.status !== 'paused') {
+      throw new AppError('Session is not paused', 400);
+    }
+
+    const resumedAt = new Date();
+    const pauseDuration = calculatePauseDuration(session, resumedAt);
+    const pauseLength = pauseDuration - ((session.analytics || {}).pauseDuration || 0);
+
+    const updatedSession = await this.sessionRepository.update(sessionId, {
+      status: 'active',
+      pausedAt: null,
+      'analytics.pauseDuration': pauseDuration,
+      // Running card timers stand still while paused
+      ...buildTimerResumeUpdates(session, pauseLength)
+    }, { expectedVersion: session.version || 0 });
+
+    await this.recordEvent(sessionId, 'session_resumed', {
+      resumedAt,
+      pauseDuration
+    });
+
+    return updatedSession;
+  }
+
+  /**
+   * End game session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - 'host', or 'max_duration'/'idle' when expired
+   * @param {Object} options - at: when it ended (offline sync)
+   * @returns {Object} Session statistics and game result (standings, winner)
+   */
+  async endSession(sessionId, reason = 'host', options = {}) {
+    const session = await this.getSessionById(sessionId);
+
+    if (session.status === 'completed') {
+      throw new AppError('Session already ended', 400);
+    }
+
+    const endTime = options.at ? toDate(options.at) : new Date();
+
+    // Ending while paused closes the open pause first
+    const pauseDuration = calculatePauseDuration(session, endTime);
+
+    // Calculate final statistics on active play time
+    const stats = calculateSessionStats({
+      ...session,
+      status: 'completed',
+      pausedAt: null,
+      endedAt: endTime,
+      analytics: { ...session.analytics, pauseDuration }
+    });
+    const { duration } = stats;
+    const result = determineGameResult(session);
+
+    // Update session
+    await this.sessionRepository.update(sessionId, {
+      status: 'completed',
+      endedAt: endTime,
+      pausedAt: null,
+      endReason: reason,
+      isComplete: stats.isComplete,
+      result,
+      'analytics.totalDuration': duration,
+      'analytics.pauseDuration': pauseDuration
+    }, { expectedVersion: session.version || 0 });
+
+    await this.cardHistoryService.recordSession({ ...session, endedAt: endTime });
+
+    // Update user statistics
+    await this.userService.recordGamePlayed(session.hostId, {
+      relationshipType: session.relationshipType,
+      connectionLevel: session.currentLevel,
+      sessionDuration: duration
+    });
+    await this.userService.recordSessionDuration(session.hostId, duration);
+
+    // Update deck statistics
+    for (const deckId of session.selectedDeckIds) {
+      await this.updateDeckSessionStats(deckId, stats);
+    }
+
+    await this.recordEvent(sessionId, 'session_ended', { statistics: stats, result, reason }, {
+      at: options.at
+    });
+
+    return { statistics: stats, result };
+  }
+
+  /**
+   * Sweep the open sessions: skip cards whose timer ran out, then end
+   * sessions past their maximum duration or idle for too long
+   * @param {Date} now - Reference time
+   * @returns {Object} { timedOut, ended }: cards skipped, sessions ended per reason
+   */
+  async sweepOpenSessions(now = new Date()) {
+    const sessions = await this.sessionRepository.findOpenSessions();
+
+    const timedOut = await this.expireCardTimers(sessions, now);
+    const ended = await this.expireSessions(sessions, now);
+
+    return { timedOut, ended };
+  }
+
+  /**
+   * End sessions past their maximum duration or idle for too long
+   * @param {Array} sessions - Open sessions
+   * @param {Date} now - Reference time
+   * @returns {Object} Number of sessions ended per reason
+   */
+  async expireSessions(sessions, now = new Date()) {
+    const limits = {
+      maxDuration: config.game.maxSessionDuration,
+      idleTimeout: config.game.sessionSweeper.idleTimeout,
+      pausedTimeout: config.game.sessionSweeper.pausedTimeout
+    };
+    const ended = { max_duration: 0, idle: 0 };
+
+    await Promise.all(sessions.map(async (session) => {
+      const reason = getExpiryReason(session, limits, now);
+      if (!reason) {
+        return;
+      }
+
+      try {
+        await this.endSession(session.id, reason);
+        ended[reason] += 1;
+      }
+      catch (error) {
+        // One broken session must not stop the sweep
+        logger.error(`Error expiring session ${session.id}:`, error);
+      }
+    }));
+
+    return ended;
+  }
+
+  /**
+   * Skip the cards whose timer ran out, in sessions with auto-skip on
+   * @param {Object} session - Session object
+   * @param {Date} now - Reference time
+   * @returns {number} Cards skipped
+   */
+  async skipTimedOutCards(session, now = new Date()) {
+    if (session.status !== 'active') {
+      return 0;
+    }
+
+    // One at a time: every skip is a versioned write on the same session
+    return findTimedOutCards(session, now).reduce(async (previous, cardId) => {
+      const skipped = await previous;
+      try {
+        await this.skipCard(session.id, cardId, null, {
+          at: session.cardTimers[cardId].deadline,
+          timedOut: true
+        });
+        return skipped + 1;
+      }
+      catch (error) {
+        // Completed or skipped by the table in the meantime
+        if (!(error instanceof AppError) || error.statusCode >= 500) {
+          throw error;
+        }
+        return skipped;
+      }
+    }, Promise.resolve(0));
+  }
+
+  /**
+   * Skip timed-out cards across open sessions, for the sweeper
+   * @param {Array} sessions - Open sessions
+   * @param {Date} now - Reference time
+   * @returns {number} Cards skipped
+   */
+  async expireCardTimers(sessions, now = new Date()) {
+    const skipped = await Promise.all(sessions.map(async (session) => {
+      try {
+        return await this.skipTimedOutCards(session, now);
+      }
+      catch (error) {
+        // One broken session must not stop the sweep
+        logger.error(`Error timing out cards of session ${session.id}:`, error);
+        return 0;
+      }
+    }));
+
+    return skipped.reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Delete abandoned sessions past the retention period
+   * @returns {number} Number of deleted sessions
+   */
+  async cleanupOldSessions() {
+    return this.sessionRepository.deleteOldSessions(config.game.sessionSweeper.retentionDays);
+  }
+
+  /**
+   * Get the recap of a finished session
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Recap
+   */
+  async getSessionRecap(sessionId) {
+    const session = await this.getSessionById(sessionId);
+
+    if (session.status !== 'completed') {
+      throw new AppError('Recap is available once the session has ended', 400);
+    }
+
+    return this.loadRecap(session);
+  }
+
+  /**
+   * Get a publicly shared recap by its share token
+   * @param {string} token - Share token
+   * @returns {Object} Recap without user IDs
+   */
+  async getSharedRecap(token) {
+    const session = await this.sessionRepository.findByShareToken(token);
+    if (!session) {
+      throw new AppError('Shared recap not found', 404);
+    }
+
+    if (new Date(session.share.expiresAt) <= new Date()) {
+      throw new AppError('Share link has expired', 410);
+    }
+
+    return toPublicRecap(await this.loadRecap(session));
+  }
+
+  /**
+   * Create (or replace) the public share link of a finished session
+   * @param {string} sessionId - Session ID
+   * @param {number} expiresInHours - Link lifetime
+   * @returns {Object} Share ({ token, createdAt, expiresAt })
+   */
+  async createShareLink(sessionId, expiresInHours = config.game.recap.shareTtlHours) {
+    const session = await this.getSessionById(sessionId);
+
+    if (session.status !== 'completed') {
+      throw new AppError('Only finished sessions can be shared', 400);
+    }
+
+    const hours = Math.min(Math.max(expiresInHours, 1), config.game.recap.maxShareTtlHours);
+    const createdAt = new Date();
+    const share = {
+      token: crypto.randomBytes(24).toString('hex'),
+      createdAt,
+      expiresAt: new Date(createdAt.getTime() + (hours * 60 * 60 * 1000))
+    };
+
+    await this.sessionRepository.update(sessionId, { share }, {
+      expectedVersion: session.version || 0
+    });
+
+    return share;
+  }
+
+  /**
+   * Revoke the public share link of a session
+   * @param {string} sessionId - Session ID
+   */
+  async revokeShareLink(sessionId) {
+    const session = await this.getSessionById(sessionId);
+    await this.sessionRepository.update(sessionId, { share: null }, {
+      expectedVersion: session.version || 0
+    });
+  }
+
+  /**
+   * Load the drawn cards and build a session's recap
+   * @param {Object} session - Completed session
+   * @returns {Object} Recap
+   * @private
+   */
+  async loadRecap(session) {
+    const cards = await Promise.all(
+      session.drawnCards.map((id) => this.cardService.cardRepository.findById(id))
+    );
+
+    return buildRecap(session, cards);
+  }
+
+  /**
+   * Update deck session statistics
+   * @param {string} deckId - Deck ID
+   * @param {Object} sessionStats - Session statistics
+   * @private
+   */
+  async updateDeckSessionStats(deckId, sessionStats) {
+    try {
+      const deck = await this.deckService.getDeckById(deckId);
+      const statistics = deck.statistics || {};
+
+      statistics.sessionsPlayed = (statistics.sessionsPlayed || 0) + 1;
+      statistics.lastPlayedAt = new Date();
+
+      // Update average completion rate
+      const currentAvg = statistics.averageCompletion || 0;
+      statistics.averageCompletion = ((currentAvg * (statistics.sessionsPlayed - 1)) + sessionStats.completionRate) / statistics.sessionsPlayed;
+
+      // Update average active play time
+      const currentDurationAvg = statistics.averageSessionDuration || 0;
+      statistics.averageSessionDuration = Math.round(
+        ((currentDurationAvg * (statistics.sessionsPlayed - 1)) + sessionStats.duration)
+        / statistics.sessionsPlayed
+      );
+
+      // Decks that require all cards only count full playthroughs
+      const progress = (sessionStats.deckProgress || {})[deckId];
+      if (progress && progress.requiresAllCards && progress.complete) {
+        statistics.completedPlaythroughs = (statistics.completedPlaythroughs || 0) + 1;
+      }
 
       await this.deckService.deckRepository.updateStatistics(deckId, statistics);
     }
@@ -333,7 +2134,10 @@ class SessionService {
    */
   async getSessionStatistics(sessionId) {
     const session = await this.getSessionById(sessionId);
-    return calculateSessionStats(session);
+    return {
+      ...calculateSessionStats(session),
+      pacing: summarizePacing(session)
+    };
   }
 }
 
@@ -0,0 +1,85 @@
+const SessionService = require('./sessionService');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Periodically ends expired or idle sessions and prunes old ones
+ */
+class SessionSweeper {
+  constructor() {
+    this.sessionService = new SessionService();
+    this.timer = null;
+    this.running = false;
+    this.lastCleanupAt = 0;
+  }
+
+  /**
+   * Run one sweep. Skipped if the previous sweep is still running.
+   * @param {Date} now - Reference time
+   * @returns {Object|null} Sweep summary
+   */
+  async sweep(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      const { timedOut, ended } = await this.sessionService.sweepOpenSessions(now);
+      const deleted = await this.cleanupIfDue(now);
+
+      if (timedOut || ended.max_duration || ended.idle || deleted) {
+        logger.info(`Session sweep: ${timedOut} cards timed out, ${ended.max_duration} over max duration, `
+          + `${ended.idle} idle, ${deleted} deleted`);
+      }
+
+      return { timedOut, ended, deleted };
+    }
+    catch (error) {
+      logger.error('Error sweeping sessions:', error);
+      return null;
+    }
+    finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Delete old sessions, at most once per retention interval
+   * @param {Date} now - Reference time
+   * @returns {number} Number of deleted sessions
+   */
+  async cleanupIfDue(now) {
+    const { retentionIntervalMs } = config.game.sessionSweeper;
+    if (now.getTime() - this.lastCleanupAt < retentionIntervalMs) {
+      return 0;
+    }
+
+    this.lastCleanupAt = now.getTime();
+    return this.sessionService.cleanupOldSessions();
+  }
+
+  /**
+   * Start the sweep interval
+   */
+  start() {
+    const { enabled, intervalMs } = config.game.sessionSweeper;
+    if (!enabled || this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.sweep(), intervalMs);
+    // Never keep the process alive just for the sweeper
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the sweep interval
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new SessionSweeper();
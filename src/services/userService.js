@@ -1,6 +1,7 @@
 const UserRepository = require('../repositories/userRepository');
 const { validateUser } = require('../models/User');
 const { AppError } = require('../middleware/errorHandler');
+const config = require('../config');
 const logger = require('../utils/logger');
 
 class UserService {
@@ -75,6 +76,45 @@ class UserService {
     return await this.userRepository.updateLanguage(uid, language);
   }
 
+  async getHouseRulePresets(uid) {
+    const user = await this.getUserById(uid);
+    return user.houseRulePresets || [];
+  }
+
+  // Creates the preset, or replaces the rules of an existing one with the same name
+  async saveHouseRulePreset(uid, name, rules) {
+    if (!name || name.length > 50) {
+      throw new AppError('Preset name must be 1-50 characters', 400);
+    }
+
+    const presets = await this.getHouseRulePresets(uid);
+    const exists = presets.some((preset) => preset.name === name);
+
+    if (!exists && presets.length >= config.game.houseRules.maxPresets) {
+      throw new AppError(`You can save up to ${config.game.houseRules.maxPresets} house rule presets`, 400);
+    }
+
+    const preset = { name, rules, updatedAt: new Date() };
+    const houseRulePresets = exists
+      ? presets.map((p) => (p.name === name ? preset : p))
+      : [...presets, preset];
+
+    await this.userRepository.update(uid, { houseRulePresets });
+    return preset;
+  }
+
+  async deleteHouseRulePreset(uid, name) {
+    const presets = await this.getHouseRulePresets(uid);
+
+    if (!presets.some((preset) => preset.name === name)) {
+      throw new AppError('House rule preset not found', 404);
+    }
+
+    await this.userRepository.update(uid, {
+      houseRulePresets: presets.filter((preset) => preset.name !== name)
+    });
+  }
+
   async getUserUnlockedDecks(uid) {
     const user = await this.getUserById(uid);
     return user.unlockedDecks || [];
@@ -135,6 +175,29 @@ class UserService {
     return statistics;
   }
 
+  /**
+   * Fold a finished session's active play time into the running average.
+   * The session was already counted (with zero duration) by recordSession
+   * when it started, so only its duration needs adding here.
+   * @param {string} uid - User ID
+   * @param {number} duration - Active session duration in milliseconds
+   * @returns {Object} Updated statistics
+   */
+  async recordSessionDuration(uid, duration) {
+    const user = await this.getUserById(uid);
+    const currentStats = user.statistics || {};
+    const totalSessions = Math.max(currentStats.totalSessions || 0, 1);
+    const currentAvg = currentStats.averageSessionDuration || 0;
+
+    const statistics = {
+      ...currentStats,
+      averageSessionDuration: Math.round(currentAvg + (duration / totalSessions))
+    };
+
+    await this.userRepository.updateStatistics(uid, statistics);
+    return statistics;
+  }
+
   calculateFavoriteType(currentStats, sessionData) {
     if (!currentStats.favoriteRelationshipType) {
       return sessionData.relationshipType;
@@ -0,0 +1,140 @@
+const config = require('../config');
+
+const MODULUS = 2147483647; // 2^31 - 1
+const MULTIPLIER = 48271;
+
+/**
+ * Create a deterministic random number generator (Park-Miller LCG)
+ * @param {number|string} seed - Seed value
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+const createSeededRandom = (seed) => {
+  const numericSeed = typeof seed === 'number'
+    ? Math.abs(Math.floor(seed))
+    : String(seed).split('').reduce(
+      (hash, char) => ((hash * 31) + char.charCodeAt(0)) % MODULUS,
+      7
+    );
+
+  let state = (numericSeed % (MODULUS - 1)) + 1;
+  const next = () => {
+    state = (state * MULTIPLIER) % MODULUS;
+    return (state - 1) / (MODULUS - 1);
+  };
+
+  // Warm up so that neighbouring seeds do not start with near-equal values
+  Array.from({ length: 3 }).forEach(next);
+
+  return next;
+};
+
+/**
+ * Pick one item proportionally to its weight
+ * @param {Array} items - Items to pick from
+ * @param {Array} weights - Non-negative weight per item
+ * @param {Function} random - Random generator
+ * @returns {*} Picked item
+ */
+const pickWeighted = (items, weights, random) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) {
+    return items[Math.floor(random() * items.length)];
+  }
+
+  let threshold = random() * total;
+  const index = weights.findIndex((weight) => {
+    threshold -= weight;
+    return threshold < 0;
+  });
+
+  return items[index === -1 ? items.length - 1 : index];
+};
+
+/**
+ * Weight a card for the weighted strategy
+ * @param {Object} card - Candidate card (type, connectionLevel, statistics)
+ * @param {Object} context - Selection context
+ * @param {Object} options - Strategy tuning
+ * @returns {number} Weight
+ */
+const weighCard = (card, context, options) => {
+  // Prefer the current level; each level below is worth less
+  const levelGap = Math.max(0, context.currentLevel - card.connectionLevel);
+  const levelWeight = options.levelFalloff ** levelGap;
+
+  // Nudge the drawn mix towards the target type distribution
+  const target = options.typeDistribution[card.type] || 0;
+  const drawnTotal = Object.values(context.typeCounts).reduce((sum, count) => sum + count, 0);
+  const observed = drawnTotal > 0 ? (context.typeCounts[card.type] || 0) / drawnTotal : 0;
+  const typeWeight = Math.min(3, Math.max(0.2, (target + 0.05) / (observed + 0.05)));
+
+  // Cards players keep skipping come up less often
+  const skipRate = (card.statistics && card.statistics.skipRate) || 0;
+  const skipWeight = Math.max(0.1, 1 - (skipRate * options.skipRateWeight));
+
+  const repeatWeight = card.type === context.lastType ? options.repeatTypePenalty : 1;
+
+  // Cards the players saw in recent sessions come up less often
+  const seenWeight = context.seenCardIds && context.seenCardIds.has(card.id)
+    ? options.seenWeight
+    : 1;
+
+  return levelWeight * typeWeight * skipWeight * repeatWeight * seenWeight;
+};
+
+/**
+ * Card selection strategies. Each receives the level-appropriate
+ * candidates and returns one of them.
+ */
+const strategies = {
+  // Uniform apart from recently seen cards
+  uniform: (candidates, context, random) => pickWeighted(
+    candidates,
+    candidates.map((card) => (context.seenCardIds.has(card.id)
+      ? config.game.freshness.seenWeight
+      : 1)),
+    random
+  ),
+
+  weighted: (candidates, context, random) => {
+    const options = {
+      ...config.game.cardSelection,
+      seenWeight: config.game.freshness.seenWeight,
+      typeDistribution: config.quality.typeDistribution.default
+    };
+    const weights = candidates.map((card) => weighCard(card, context, options));
+
+    return pickWeighted(candidates, weights, random);
+  }
+};
+
+/**
+ * Select the next card
+ * @param {Array} candidates - Level-appropriate candidate cards
+ * @param {Object} context - { currentLevel, typeCounts, lastType, seenCardIds }
+ * @param {Object} options - { strategy, random }
+ * @returns {Object|null} Selected card
+ */
+const selectCard = (candidates, context, options = {}) => {
+  if (!candidates || candidates.length === 0) {
+    return null;
+  }
+
+  const strategy = strategies[options.strategy] || strategies[config.game.cardSelection.strategy];
+  const random = options.random || Math.random;
+
+  return strategy(candidates, {
+    currentLevel: context.currentLevel || 1,
+    typeCounts: context.typeCounts || {},
+    lastType: context.lastType || null,
+    seenCardIds: new Set(context.seenCardIds || [])
+  }, random);
+};
+
+module.exports = {
+  strategies,
+  selectCard,
+  weighCard,
+  pickWeighted,
+  createSeededRandom
+};
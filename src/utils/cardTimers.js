@@ -0,0 +1,134 @@
+const config = require('../config');
+const { toDate } = require('../models/GameSession');
+
+/**
+ * Merge timer rules: defaults, then the session's configuration
+ * @param {Object} sessionRules - configuration.timers from the session
+ * @returns {Object} Resolved rules
+ */
+const resolveTimerRules = (sessionRules = {}) => ({
+  enabled: false,
+  autoSkip: false,
+  graceSeconds: config.game.timers.graceSeconds,
+  ...sessionRules,
+  durations: {
+    ...config.game.timers.durations,
+    ...sessionRules.durations
+  }
+});
+
+/**
+ * Seconds a player gets to answer a card
+ * @param {Object} card - Card (or pool entry)
+ * @param {Object} rules - Resolved timer rules
+ * @returns {number|null} Seconds, or null for untimed cards
+ */
+const getCardTimerSeconds = (card, rules) => {
+  if (!rules.enabled) {
+    return null;
+  }
+
+  const estimated = (card.metadata || {}).estimatedResponseTime;
+  return estimated || rules.durations[card.type] || null;
+};
+
+/**
+ * Start tracking a drawn card. Every card's play time is tracked; only
+ * timed cards get a deadline.
+ * @param {Object} card - Drawn card (or pool entry)
+ * @param {Object} rules - Resolved timer rules
+ * @param {Date} now - Draw time
+ * @returns {Object} Card timer
+ */
+const startCardTimer = (card, rules, now = new Date()) => {
+  const durationSeconds = getCardTimerSeconds(card, rules);
+
+  return {
+    startedAt: now,
+    durationSeconds,
+    deadline: durationSeconds ? new Date(now.getTime() + (durationSeconds * 1000)) : null,
+    pausedTime: 0
+  };
+};
+
+/**
+ * Stop a card timer once the card is completed or skipped
+ * @param {Object} timer - Card timer
+ * @param {Date} now - Finish time
+ * @param {boolean} timedOut - Skipped because the timer ran out
+ * @returns {Object} Finished card timer
+ */
+const finishCardTimer = (timer, now = new Date(), timedOut = false) => ({
+  ...timer,
+  finishedAt: now,
+  // Time spent paused does not count towards the answer
+  responseTime: Math.max(0, now - toDate(timer.startedAt) - (timer.pausedTime || 0)),
+  timedOut
+});
+
+/**
+ * Check whether a card's timer ran out (past its grace period)
+ * @param {Object} timer - Card timer
+ * @param {Object} rules - Resolved timer rules
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if the card timed out
+ */
+const hasTimedOut = (timer, rules, now = new Date()) => Boolean(timer
+  && timer.deadline
+  && !timer.finishedAt
+  && now - toDate(timer.deadline) > rules.graceSeconds * 1000);
+
+/**
+ * Cards to skip automatically because their timer ran out
+ * @param {Object} session - Session object
+ * @param {Date} now - Reference time
+ * @returns {Array} Card IDs
+ */
+const findTimedOutCards = (session, now = new Date()) => {
+  const rules = session.timers || resolveTimerRules();
+  if (!rules.autoSkip) {
+    return [];
+  }
+
+  const played = new Set([...(session.completedCards || []), ...(session.skippedCards || [])]);
+  const timers = session.cardTimers || {};
+
+  return Object.keys(timers)
+    .filter((cardId) => !played.has(cardId) && hasTimedOut(timers[cardId], rules, now));
+};
+
+/**
+ * Push back the deadlines of running timers after a pause
+ * @param {Object} session - Session object
+ * @param {number} pauseLength - Length of the pause in milliseconds
+ * @returns {Object} Dotted-path cardTimers updates
+ */
+const buildTimerResumeUpdates = (session, pauseLength) => {
+  const timers = session.cardTimers || {};
+
+  return Object.keys(timers)
+    .filter((cardId) => !timers[cardId].finishedAt)
+    .reduce((updates, cardId) => {
+      const timer = timers[cardId];
+      return {
+        ...updates,
+        [`cardTimers.${cardId}`]: {
+          ...timer,
+          deadline: timer.deadline
+            ? new Date(toDate(timer.deadline).getTime() + pauseLength)
+            : null,
+          pausedTime: (timer.pausedTime || 0) + pauseLength
+        }
+      };
+    }, {});
+};
+
+module.exports = {
+  resolveTimerRules,
+  getCardTimerSeconds,
+  startCardTimer,
+  finishCardTimer,
+  hasTimedOut,
+  findTimedOutCards,
+  buildTimerResumeUpdates
+};
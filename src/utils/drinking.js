@@ -0,0 +1,135 @@
+const config = require('../config');
+const { toDate } = require('../models/GameSession');
+
+const HOUR = 3600000;
+
+/**
+ * Merge drinking safeguards: defaults, then the session's configuration
+ * @param {Object} sessionRules - configuration.drinking from the session
+ * @returns {Object} Resolved rules
+ */
+const resolveDrinkingRules = (sessionRules = {}) => ({
+  ...config.game.drinking,
+  ...sessionRules
+});
+
+/**
+ * Sips per hour a player may drink: the session's cap, or their own if lower
+ * @param {Object} rules - Resolved drinking rules
+ * @param {Object} player - Session player
+ * @returns {number} Hourly cap
+ */
+const getSipLimit = (rules, player = {}) => (player.maxSipsPerHour !== undefined
+  ? Math.min(rules.maxSipsPerHour, player.maxSipsPerHour)
+  : rules.maxSipsPerHour);
+
+/**
+ * Ledger log entries from the last hour
+ * @param {Object} entry - Player's ledger entry
+ * @param {Date} now - Reference time
+ * @returns {Array} Recent log entries
+ */
+const getRecentLog = (entry = {}, now = new Date()) => (entry.log || [])
+  .filter((log) => now - toDate(log.at) < HOUR);
+
+/**
+ * Sips a player drank in the last hour
+ * @param {Object} entry - Player's ledger entry
+ * @param {Date} now - Reference time
+ * @returns {number} Sips
+ */
+const countRecentSips = (entry, now = new Date()) => getRecentLog(entry, now)
+  .reduce((total, log) => total + log.sips, 0);
+
+/**
+ * Pour the sips handed out by triggered house rules. Sips over a player's
+ * hourly cap become the non-alcoholic substitute, and players who have
+ * drunk enough (or long enough) since their last break get a hydration break.
+ * @param {Object} session - Session object
+ * @param {Array} triggered - Triggered house rules
+ * @param {Date} now - Reference time
+ * @returns {Object} { triggered, updates } with per-player drinks added to
+ *   each rule and dotted-path sipLedger updates
+ */
+const pourSips = (session, triggered, now = new Date()) => {
+  const rules = session.drinking || resolveDrinkingRules();
+  const players = session.players || [];
+  const ledger = { ...(session.sipLedger || {}) };
+  const updates = {};
+
+  const poured = triggered.map((rule) => {
+    if (!rule.sips) {
+      return rule;
+    }
+
+    const drinks = rule.playerIds.map((playerId) => {
+      const entry = ledger[playerId] || {};
+      const player = players.find((p) => p.userId === playerId);
+      const allowed = Math.max(0, getSipLimit(rules, player) - countRecentSips(entry, now));
+      const sips = Math.min(rule.sips, allowed);
+      const substitutedSips = rule.sips - sips;
+
+      const sipsSinceBreak = (entry.sipsSinceBreak || 0) + sips;
+      const lastBreakAt = toDate(entry.lastBreakAt || session.startedAt || now);
+      const hydrationBreak = sips > 0 && (
+        sipsSinceBreak >= rules.hydrationEverySips
+        || now - lastBreakAt >= rules.hydrationIntervalMinutes * 60000
+      );
+
+      ledger[playerId] = {
+        sips: (entry.sips || 0) + sips,
+        substitutedSips: (entry.substitutedSips || 0) + substitutedSips,
+        hydrationBreaks: (entry.hydrationBreaks || 0) + (hydrationBreak ? 1 : 0),
+        sipsSinceBreak: hydrationBreak ? 0 : sipsSinceBreak,
+        lastBreakAt: hydrationBreak ? now : (entry.lastBreakAt || null),
+        // Only the last hour is needed for pacing
+        log: [...getRecentLog(entry, now), ...(sips > 0 ? [{ at: now, sips }] : [])]
+      };
+      updates[`sipLedger.${playerId}`] = ledger[playerId];
+
+      return {
+        playerId,
+        sips,
+        substitutedSips,
+        substitute: substitutedSips > 0 ? rules.substitute : null,
+        hydrationBreak
+      };
+    });
+
+    return { ...rule, drinks };
+  });
+
+  return { triggered: poured, updates };
+};
+
+/**
+ * Current pacing per player, for session statistics
+ * @param {Object} session - Session object
+ * @param {Date} now - Reference time
+ * @returns {Object} { sipsLastHour, limit, remaining } keyed by player ID
+ */
+const summarizePacing = (session, now = new Date()) => {
+  const rules = session.drinking || resolveDrinkingRules();
+
+  return (session.players || []).reduce((pacing, player) => {
+    const sipsLastHour = countRecentSips((session.sipLedger || {})[player.userId], now);
+    const limit = getSipLimit(rules, player);
+
+    return {
+      ...pacing,
+      [player.userId]: {
+        sipsLastHour,
+        limit,
+        remaining: Math.max(0, limit - sipsLastHour)
+      }
+    };
+  }, {});
+};
+
+module.exports = {
+  resolveDrinkingRules,
+  getSipLimit,
+  countRecentSips,
+  pourSips,
+  summarizePacing
+};
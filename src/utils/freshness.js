@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * History document ID for a single user
+ * @param {string} userId - User ID
+ * @returns {string} Owner key
+ */
+const getUserHistoryKey = (userId) => `user_${userId}`;
+
+/**
+ * History document ID for a group of players, independent of seat order
+ * @param {Array} userIds - Player user IDs
+ * @returns {string} Owner key
+ */
+const getGroupHistoryKey = (userIds) => `group_${crypto.createHash('sha1')
+  .update([...new Set(userIds)].sort().join(','))
+  .digest('hex')}`;
+
+/**
+ * Merge freshness rules: defaults, then the session's configuration
+ * @param {Object} sessionRules - configuration.freshness from the session
+ * @returns {Object} Resolved rules
+ */
+const resolveFreshnessRules = (sessionRules = {}) => {
+  const { maxHistorySessions, ...defaults } = config.game.freshness;
+
+  return { ...defaults, ...sessionRules };
+};
+
+/**
+ * Collect card IDs seen within the look-back window. Each history keeps its
+ * own most recent `lookbackSessions` sessions; `lookbackDays` further limits
+ * them by age when set.
+ * @param {Array} histories - History documents ({ sessions: [{ endedAt, cardIds }] })
+ * @param {Object} rules - Resolved freshness rules
+ * @param {Date} now - Reference time
+ * @returns {Array} Seen card IDs
+ */
+const collectSeenCardIds = (histories, rules, now = new Date()) => {
+  if (rules.mode === 'off') {
+    return [];
+  }
+
+  const cutoff = rules.lookbackDays
+    ? new Date(now) - (rules.lookbackDays * 24 * 60 * 60 * 1000)
+    : null;
+  const seen = new Set();
+
+  histories.filter(Boolean).forEach((history) => {
+    (history.sessions || [])
+      .slice(-rules.lookbackSessions)
+      .filter((entry) => !cutoff || new Date(entry.endedAt) >= cutoff)
+      .forEach((entry) => entry.cardIds.forEach((cardId) => seen.add(cardId)));
+  });
+
+  return Array.from(seen);
+};
+
+/**
+ * Drop seen cards from a list in exclude mode, unless nothing would be left
+ * (freshness should never stop a game)
+ * @param {Array} cards - Cards or pool entries
+ * @param {Object} rules - Resolved freshness rules
+ * @param {Array} seenCardIds - Seen card IDs
+ * @returns {Array} Cards to use
+ */
+const excludeSeenCards = (cards, rules, seenCardIds) => {
+  if (!rules || rules.mode !== 'exclude' || !seenCardIds || seenCardIds.length === 0) {
+    return cards;
+  }
+
+  const seen = new Set(seenCardIds);
+  const unseen = cards.filter((card) => !seen.has(card.id));
+
+  return unseen.length > 0 ? unseen : cards;
+};
+
+module.exports = {
+  getUserHistoryKey,
+  getGroupHistoryKey,
+  resolveFreshnessRules,
+  collectSeenCardIds,
+  excludeSeenCards
+};
@@ -0,0 +1,65 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+
+const GUEST_ID_PREFIX = 'guest_';
+
+/**
+ * Generate a player ID for a guest without an account
+ * @returns {string} Guest ID
+ */
+const createGuestId = () => `${GUEST_ID_PREFIX}${uuidv4()}`;
+
+/**
+ * Check whether a player/user ID belongs to a guest
+ * @param {string} userId - User ID
+ * @returns {boolean} True for guest IDs
+ */
+const isGuestId = (userId) => typeof userId === 'string' && userId.startsWith(GUEST_ID_PREFIX);
+
+/**
+ * Issue a short-lived token that lets a guest act in one session
+ * @param {Object} guest - { guestId, sessionId, displayName }
+ * @returns {string} Signed token
+ */
+const createGuestToken = ({ guestId, sessionId, displayName }) => jwt.sign(
+  { type: 'guest', sessionId, displayName },
+  config.jwt.secret,
+  { subject: guestId, expiresIn: config.game.guests.tokenTtl }
+);
+
+/**
+ * Verify a guest token
+ * @param {string} token - Token
+ * @param {Object} options - allowExpired: accept expired tokens still inside
+ *   the claim window (used when a guest registers later)
+ * @returns {Object|null} { uid, sessionId, displayName } or null if invalid
+ */
+const verifyGuestToken = (token, options = {}) => {
+  try {
+    const payload = jwt.verify(token, config.jwt.secret, options.allowExpired
+      ? { ignoreExpiration: true, maxAge: config.game.guests.claimWindow }
+      : {});
+
+    if (payload.type !== 'guest' || !isGuestId(payload.sub)) {
+      return null;
+    }
+
+    return {
+      uid: payload.sub,
+      sessionId: payload.sessionId,
+      displayName: payload.displayName,
+      isGuest: true
+    };
+  }
+  catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createGuestId,
+  isGuestId,
+  createGuestToken,
+  verifyGuestToken
+};
@@ -0,0 +1,114 @@
+const { selectNextPlayer } = require('../models/GameSession');
+const { applyPoints } = require('./scoring');
+
+/**
+ * Pick the rules a session plays with: inline rules win over a preset
+ * @param {Object} customRules - configuration.customRules ({ preset, rules })
+ * @param {Array} presets - Host's saved presets
+ * @returns {Array|null} Rules, or null if the named preset does not exist
+ */
+const resolveHouseRules = (customRules = {}, presets = []) => {
+  if (customRules.rules && customRules.rules.length > 0) {
+    return customRules.rules;
+  }
+
+  if (!customRules.preset) {
+    return [];
+  }
+
+  const preset = presets.find((p) => p.name === customRules.preset);
+  return preset ? preset.rules : null;
+};
+
+/**
+ * Check whether a rule fires for an event
+ * @param {Object} rule - House rule
+ * @param {Object} event - { type, cardType, level }
+ * @returns {boolean} True if it fires
+ */
+const matchesHouseRule = (rule, event) => {
+  const when = rule.when || {};
+
+  return rule.on === event.type
+    && (!when.cardTypes || when.cardTypes.includes(event.cardType))
+    && (!when.levels || when.levels.includes(event.level));
+};
+
+/**
+ * Players a rule applies to
+ * @param {Object} rule - House rule
+ * @param {Array} players - Session players
+ * @param {string} playerId - Player the event happened to, if any
+ * @returns {Array} Player IDs
+ */
+const resolveRuleTargets = (rule, players, playerId) => {
+  const activeIds = players.filter((player) => player.isActive)
+    .map((player) => player.userId);
+
+  if (rule.target === 'everyone') {
+    return activeIds;
+  }
+
+  if (rule.target === 'others') {
+    return activeIds.filter((id) => id !== playerId);
+  }
+
+  return playerId ? [playerId] : [];
+};
+
+/**
+ * Evaluate a session's house rules for an event
+ * @param {Object} session - Session object (players as they are after the action)
+ * @param {Object} event - { type, playerId, cardId, cardType, level }
+ * @returns {Object} { triggered, updates } where updates are session updates
+ *   for points and passed turns
+ */
+const applyHouseRules = (session, event) => {
+  const rules = (session.houseRules || []).filter((rule) => matchesHouseRule(rule, event));
+  if (rules.length === 0) {
+    return { triggered: [], updates: {} };
+  }
+
+  let players = session.players || [];
+  const triggered = rules.map((rule) => {
+    const playerIds = resolveRuleTargets(rule, players, event.playerId);
+
+    if (rule.points) {
+      players = playerIds.reduce((current, id) => applyPoints(current, id, rule.points), players);
+    }
+
+    return {
+      name: rule.name,
+      event: event.type,
+      playerIds,
+      sips: rule.sips || 0,
+      points: rule.points || 0,
+      passTurn: Boolean(rule.passTurn)
+    };
+  });
+
+  const updates = {};
+  if (triggered.some((rule) => rule.points)) {
+    updates.players = players;
+  }
+
+  // Passing moves the turn marker on once; a drawn card goes with it
+  const nextPlayerId = triggered.some((rule) => rule.passTurn) && event.playerId
+    ? selectNextPlayer({ ...session, players, currentPlayerId: event.playerId })
+    : null;
+  if (nextPlayerId) {
+    updates.currentPlayerId = nextPlayerId;
+    if (event.type === 'card_drawn') {
+      updates[`cardAssignments.${event.cardId}`] = nextPlayerId;
+    }
+  }
+
+  return { triggered, updates };
+};
+
+module.exports = {
+  resolveHouseRules,
+  matchesHouseRule,
+  resolveRuleTargets,
+  applyHouseRules
+};
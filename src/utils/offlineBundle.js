@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { getCardContent } = require('../models/Card');
+const { toDate } = require('../models/GameSession');
+const { calculateCardPoints } = require('./scoring');
+const { resolveDrinkingRules } = require('./drinking');
+const { resolveTimerRules, getCardTimerSeconds } = require('./cardTimers');
+
+/**
+ * Serialize a value as JSON with object keys sorted, so a bundle signs the
+ * same way no matter how it was built or stored
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalize = (value) => {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalize(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Sign an offline bundle
+ * @param {Object} bundle - Bundle
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+const signOfflineBundle = (bundle) => crypto
+  .createHmac('sha256', config.jwt.secret)
+  .update(canonicalize(bundle))
+  .digest('hex');
+
+/**
+ * Compare a signature presented by a client with the expected one
+ * @param {string} signature - Presented signature
+ * @param {string} expected - Expected signature
+ * @returns {boolean} True if they match
+ */
+const signaturesMatch = (signature, expected) => {
+  if (typeof signature !== 'string' || typeof expected !== 'string'
+    || signature.length !== expected.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+/**
+ * Build the bundle a client needs to keep a session going offline: the
+ * cards still in play, bucketed by level with text in the session language,
+ * the table as it stands and the rules to play by
+ * @param {Object} session - Session object
+ * @param {Array} cards - Playable cards left in the pool
+ * @param {Object} rules - Resolved progression rules
+ * @param {Date} now - Issue time
+ * @returns {Object} Unsigned bundle
+ */
+const buildOfflineBundle = (session, cards, rules, now = new Date()) => {
+  const configuration = session.configuration || {};
+  const timers = session.timers || resolveTimerRules();
+  const cardPool = cards.reduce((pool, card) => {
+    const level = String(card.connectionLevel);
+    return {
+      ...pool,
+      [level]: [...(pool[level] || []), {
+        id: card.id,
+        type: card.type,
+        connectionLevel: card.connectionLevel,
+        points: calculateCardPoints(card),
+        timerSeconds: getCardTimerSeconds(card, timers),
+        content: getCardContent(card, session.language, configuration.soberMode)
+      }]
+    };
+  }, {
+    1: [], 2: [], 3: [], 4: []
+  });
+
+  return {
+    id: uuidv4(),
+    sessionId: session.id,
+    issuedAt: now,
+    expiresAt: new Date(now.getTime() + (config.game.offline.bundleTtlHours * 60 * 60 * 1000)),
+    language: session.language,
+    state: {
+      status: session.status,
+      currentLevel: session.currentLevel,
+      currentPlayerId: session.currentPlayerId || null,
+      drawnCount: (session.drawnCards || []).length,
+      players: (session.players || []).map((player) => ({
+        userId: player.userId,
+        displayName: player.displayName,
+        points: player.points || 0,
+        connectionLevel: player.connectionLevel || session.currentLevel,
+        isActive: player.isActive
+      }))
+    },
+    rules: {
+      turnOrder: configuration.turnOrder || 'sequential',
+      winCondition: configuration.winCondition || 'first_to_level_4',
+      levelMode: configuration.levelMode || 'session',
+      soberMode: Boolean(configuration.soberMode),
+      progression: rules,
+      houseRules: session.houseRules || [],
+      drinking: session.drinking || resolveDrinkingRules(),
+      timers,
+      skipPenalty: config.game.scoring.skipPenalty
+    },
+    cardPool
+  };
+};
+
+/**
+ * Check whether a bundle still accepts syncs
+ * @param {Object} bundle - Stored bundle record ({ expiresAt })
+ * @param {Date} now - Reference time
+ * @returns {boolean} True until the grace period after expiry has passed
+ */
+const acceptsSync = (bundle, now = new Date()) => toDate(bundle.expiresAt).getTime()
+  + (config.game.offline.syncGraceHours * 60 * 60 * 1000) > now.getTime();
+
+/**
+ * Put an offline event log in the order it happened at the table
+ * @param {Array} events - Offline events ({ occurredAt })
+ * @returns {Array} Events, oldest first (ties keep their log order)
+ */
+const orderOfflineEvents = (events) => events
+  .map((event, index) => ({ event, index }))
+  .sort((a, b) => (toDate(a.event.occurredAt) - toDate(b.event.occurredAt)) || (a.index - b.index))
+  .map(({ event }) => event);
+
+module.exports = {
+  canonicalize,
+  signOfflineBundle,
+  signaturesMatch,
+  buildOfflineBundle,
+  acceptsSync,
+  orderOfflineEvents
+};
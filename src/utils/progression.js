@@ -0,0 +1,135 @@
+const config = require('../config');
+const { calculateActiveDuration } = require('../models/GameSession');
+
+const MAX_LEVEL = 4;
+
+/**
+ * Merge progression rules: defaults, then the first deck with custom
+ * progression, then the session's own configuration
+ * @param {Array} decks - Selected decks
+ * @param {Object} sessionRules - configuration.progression from the session
+ * @returns {Object} Resolved rules
+ */
+const resolveProgressionRules = (decks = [], sessionRules = {}) => {
+  const deck = decks.find((d) => d && d.features && d.features.customProgression && d.progression);
+
+  return {
+    ...config.game.progression,
+    ...(deck ? deck.progression : {}),
+    ...sessionRules
+  };
+};
+
+/**
+ * Calculate the level a session should be at under its rules.
+ * Levels never go down and never pass the maximum.
+ * @param {Object} session - Session object
+ * @param {Object} rules - Resolved progression rules
+ * @param {Date} now - Reference time for time-based progression
+ * @returns {number} Target level
+ */
+const calculateTargetLevel = (session, rules, now = new Date()) => {
+  let earned = session.currentLevel;
+
+  if (rules.mode === 'cards') {
+    const skipped = rules.countSkips ? (session.skippedCards || []).length : 0;
+    const counted = (session.completedCards || []).length + skipped;
+    earned = Math.floor(counted / rules.cardsPerLevel) + 1;
+  }
+  else if (rules.mode === 'time') {
+    const activeMinutes = calculateActiveDuration(session, now) / 60000;
+    earned = Math.floor(activeMinutes / rules.minutesPerLevel) + 1;
+  }
+
+  return Math.min(Math.max(earned, session.currentLevel), MAX_LEVEL);
+};
+
+/**
+ * Check whether players progress through levels on their own
+ * @param {Object} session - Session object
+ * @returns {boolean} True in 'player' level mode
+ */
+const usesPlayerLevels = (session) => (session.configuration || {}).levelMode === 'player';
+
+/**
+ * A player's own level (1 for unknown players)
+ * @param {Object} session - Session object
+ * @param {string} playerId - Player ID
+ * @returns {number} Level
+ */
+const getPlayerLevel = (session, playerId) => {
+  const player = (session.players || []).find((p) => p.userId === playerId);
+  return (player && player.connectionLevel) || 1;
+};
+
+/**
+ * Level a card may be drawn at for a turn: the session's level, or in
+ * 'player' level mode the player's own level (the lower of the two when
+ * the card is for a pair)
+ * @param {Object} session - Session object
+ * @param {string} playerId - Player whose turn it is
+ * @param {string} partnerId - Other player in a pair card, if any
+ * @returns {number} Level
+ */
+const getTurnLevel = (session, playerId, partnerId = null) => {
+  if (!usesPlayerLevels(session)) {
+    return session.currentLevel;
+  }
+
+  const level = getPlayerLevel(session, playerId);
+  return partnerId ? Math.min(level, getPlayerLevel(session, partnerId)) : level;
+};
+
+/**
+ * Calculate the level a player should be at under the session's rules,
+ * counting only the cards that player answered
+ * @param {Object} session - Session object
+ * @param {Object} rules - Resolved progression rules
+ * @param {string} playerId - Player ID
+ * @param {Date} now - Reference time for time-based progression
+ * @returns {number} Target level
+ */
+const calculatePlayerTargetLevel = (session, rules, playerId, now = new Date()) => {
+  const assignments = session.cardAssignments || {};
+  const ownCards = (cardIds) => (cardIds || []).filter((id) => assignments[id] === playerId);
+
+  return calculateTargetLevel({
+    ...session,
+    currentLevel: getPlayerLevel(session, playerId),
+    completedCards: ownCards(session.completedCards),
+    skippedCards: ownCards(session.skippedCards)
+  }, rules, now);
+};
+
+/**
+ * Build analytics updates recording when each newly reached level was hit
+ * (in active play time), including levels jumped over
+ * @param {Object} session - Session object
+ * @param {number} targetLevel - Level being reached
+ * @param {Date} now - Reference time
+ * @returns {Object} Dotted-path updates for analytics.levelProgressionTime
+ */
+const buildLevelProgressionUpdates = (session, targetLevel, now = new Date()) => {
+  const activeDuration = calculateActiveDuration(session, now);
+  const updates = {};
+
+  Array.from(
+    { length: Math.max(0, targetLevel - session.currentLevel) },
+    (_, index) => session.currentLevel + index + 1
+  ).forEach((level) => {
+    updates[`analytics.levelProgressionTime.${level}`] = activeDuration;
+  });
+
+  return updates;
+};
+
+module.exports = {
+  MAX_LEVEL,
+  resolveProgressionRules,
+  calculateTargetLevel,
+  usesPlayerLevels,
+  getPlayerLevel,
+  getTurnLevel,
+  calculatePlayerTargetLevel,
+  buildLevelProgressionUpdates
+};
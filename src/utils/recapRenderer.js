@@ -0,0 +1,246 @@
+const { getCardContent } = require('../models/Card');
+const { calculateSessionStats } = require('../models/GameSession');
+const { calculateStandings } = require('./scoring');
+
+/**
+ * Format milliseconds as "1h 05m" / "12m 30s"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+const formatDuration = (ms) => {
+  const totalSeconds = Math.round((ms || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return hours > 0 ? `${hours}h ${pad(minutes)}m` : `${minutes}m ${pad(seconds)}s`;
+};
+
+/**
+ * Escape text for HTML output
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Pick the player with the highest value of a stat (none if nobody scored)
+ * @param {Array} players - Player summaries
+ * @param {string} field - Stat field
+ * @returns {Object|null} Player summary
+ */
+const topPlayerBy = (players, field) => players.reduce(
+  (best, player) => (player[field] > 0 && (!best || player[field] > best[field]) ? player : best),
+  null
+);
+
+/**
+ * Build the recap of a finished session
+ * @param {Object} session - Completed session
+ * @param {Array} cards - Drawn cards in draw order (null for deleted cards)
+ * @returns {Object} Recap
+ */
+const buildRecap = (session, cards) => {
+  const stats = calculateSessionStats(session);
+  const completed = new Set(session.completedCards);
+  const skipped = new Set(session.skippedCards);
+  const assignments = session.cardAssignments || {};
+  const names = (session.players || []).reduce((map, player) => ({
+    ...map,
+    [player.userId]: player.displayName
+  }), {});
+
+  const playedCards = session.drawnCards.map((cardId, index) => {
+    const card = cards[index];
+    let outcome = 'drawn';
+    if (completed.has(cardId)) outcome = 'completed';
+    else if (skipped.has(cardId)) outcome = 'skipped';
+
+    return {
+      id: cardId,
+      type: card ? card.type : null,
+      connectionLevel: card ? card.connectionLevel : null,
+      content: card
+        ? getCardContent(card, session.language, (session.configuration || {}).soberMode)
+        : null,
+      playerId: assignments[cardId] || null,
+      playerName: names[assignments[cardId]] || null,
+      outcome
+    };
+  });
+
+  const players = calculateStandings(session.players || []).map((standing) => ({
+    ...standing,
+    ...stats.playerStats[standing.userId]
+  }));
+  const levelTimes = (session.analytics || {}).levelProgressionTime || {};
+
+  return {
+    sessionId: session.id,
+    relationshipType: session.relationshipType,
+    language: session.language,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    duration: stats.duration,
+    pauseDuration: stats.pauseDuration,
+    levelReached: session.currentLevel,
+    levelProgression: Object.keys(levelTimes)
+      .sort()
+      .map((level) => ({ level: Number(level), reachedAfter: levelTimes[level] })),
+    totals: {
+      cards: stats.totalCards,
+      completed: stats.completedCards,
+      skipped: stats.skippedCards
+    },
+    players,
+    highlights: {
+      topScorer: topPlayerBy(players, 'points'),
+      mostCompleted: topPlayerBy(players, 'cardsCompleted'),
+      mostSkipped: topPlayerBy(players, 'cardsSkipped')
+    },
+    cards: playedCards,
+    result: session.result || null
+  };
+};
+
+/**
+ * Remove user IDs from a recap before sharing it publicly
+ * @param {Object} recap - Recap
+ * @returns {Object} Public recap
+ */
+const toPublicRecap = (recap) => {
+  const stripPlayer = (player) => (player
+    ? { displayName: player.displayName, points: player.points, rank: player.rank }
+    : null);
+
+  return {
+    ...recap,
+    players: recap.players.map((player) => {
+      const { userId, ...rest } = player;
+      return rest;
+    }),
+    highlights: {
+      topScorer: stripPlayer(recap.highlights.topScorer),
+      mostCompleted: stripPlayer(recap.highlights.mostCompleted),
+      mostSkipped: stripPlayer(recap.highlights.mostSkipped)
+    },
+    cards: recap.cards.map((card) => {
+      const { playerId, ...rest } = card;
+      return rest;
+    }),
+    result: null
+  };
+};
+
+/**
+ * Render a recap as Markdown
+ * @param {Object} recap - Recap
+ * @returns {string} Markdown
+ */
+const renderMarkdown = (recap) => {
+  const { highlights } = recap;
+  const lines = [
+    '# Game Recap',
+    '',
+    `- **Played:** ${new Date(recap.startedAt).toISOString().slice(0, 10)}`,
+    `- **Duration:** ${formatDuration(recap.duration)}`,
+    `- **Level reached:** ${recap.levelReached}`,
+    `- **Cards:** ${recap.totals.cards} (${recap.totals.completed} completed, ${recap.totals.skipped} skipped)`,
+    ''
+  ];
+
+  if (recap.levelProgression.length > 0) {
+    lines.push('## Level progression', '');
+    recap.levelProgression.forEach(({ level, reachedAfter }) => {
+      lines.push(`- Level ${level} after ${formatDuration(reachedAfter)}`);
+    });
+    lines.push('');
+  }
+
+  lines.push('## Players', '', '| Rank | Player | Points | Completed | Skipped |', '| --- | --- | --- | --- | --- |');
+  recap.players.forEach((player) => {
+    lines.push(`| ${player.rank} | ${player.displayName} | ${player.points} | ${player.cardsCompleted || 0} | ${player.cardsSkipped || 0} |`);
+  });
+  lines.push('');
+
+  const highlightLines = [
+    highlights.topScorer && `- Top scorer: **${highlights.topScorer.displayName}** (${highlights.topScorer.points} points)`,
+    highlights.mostCompleted && `- Most cards taken on: **${highlights.mostCompleted.displayName}**`,
+    highlights.mostSkipped && `- Most skips: **${highlights.mostSkipped.displayName}**`
+  ].filter(Boolean);
+  if (highlightLines.length > 0) {
+    lines.push('## Highlights', '', ...highlightLines, '');
+  }
+
+  lines.push('## Cards', '');
+  recap.cards.forEach((card, index) => {
+    const who = card.playerName ? ` (${card.playerName})` : '';
+    lines.push(`${index + 1}. [${card.outcome}] ${card.content || '_Card no longer available_'}${who}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Render a recap as a standalone HTML page
+ * @param {Object} recap - Recap
+ * @returns {string} HTML document
+ */
+const renderHtml = (recap) => {
+  const playerRows = recap.players.map((player) => `<tr><td>${player.rank}</td><td>${escapeHtml(player.displayName)}</td>`
+    + `<td>${player.points}</td><td>${player.cardsCompleted || 0}</td><td>${player.cardsSkipped || 0}</td></tr>`)
+    .join('');
+  const cardItems = recap.cards.map((card) => `<li class="${card.outcome}"><span class="outcome">${card.outcome}</span> `
+    + `${escapeHtml(card.content || 'Card no longer available')}`
+    + `${card.playerName ? ` <em>${escapeHtml(card.playerName)}</em>` : ''}</li>`)
+    .join('');
+  const levelItems = recap.levelProgression
+    .map(({ level, reachedAfter }) => `<li>Level ${level} after ${formatDuration(reachedAfter)}</li>`)
+    .join('');
+  const { topScorer } = recap.highlights;
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(recap.language || 'en')}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Game Recap</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border-bottom: 1px solid #ddd; padding: .4rem; text-align: left; }
+li { margin: .3rem 0; }
+.outcome { font-size: .75rem; text-transform: uppercase; color: #666; }
+.skipped { color: #888; }
+</style>
+</head>
+<body>
+<h1>Game Recap</h1>
+<p>${formatDuration(recap.duration)} &middot; level ${recap.levelReached} &middot; ${recap.totals.cards} cards
+(${recap.totals.completed} completed, ${recap.totals.skipped} skipped)</p>
+${topScorer ? `<p>Top scorer: <strong>${escapeHtml(topScorer.displayName)}</strong> with ${topScorer.points} points</p>` : ''}
+${levelItems ? `<h2>Level progression</h2><ul>${levelItems}</ul>` : ''}
+<h2>Players</h2>
+<table><thead><tr><th>Rank</th><th>Player</th><th>Points</th><th>Completed</th><th>Skipped</th></tr></thead>
+<tbody>${playerRows}</tbody></table>
+<h2>Cards</h2>
+<ol>${cardItems}</ol>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  buildRecap,
+  toPublicRecap,
+  renderMarkdown,
+  renderHtml,
+  formatDuration,
+  escapeHtml
+};
@@ -0,0 +1,127 @@
+const config = require('../config');
+
+/**
+ * Points awarded for completing a card, weighted by card type and level
+ * @param {Object} card - Card (needs type and connectionLevel)
+ * @param {Object} scoring - Scoring configuration
+ * @returns {number} Points
+ */
+const calculateCardPoints = (card, scoring = config.game.scoring) => {
+  const base = scoring.typePoints[card.type] || scoring.typePoints.question;
+  const multiplier = scoring.levelMultiplier[card.connectionLevel] || 1;
+
+  return Math.round(base * multiplier);
+};
+
+/**
+ * Apply a points change to one player; scores never drop below zero
+ * @param {Array} players - Session players
+ * @param {string} playerId - Player user ID
+ * @param {number} delta - Points to add (negative to deduct)
+ * @returns {Array} Updated players
+ */
+const applyPoints = (players, playerId, delta) => players.map((player) => {
+  if (player.userId !== playerId) {
+    return player;
+  }
+
+  return {
+    ...player,
+    points: Math.max(0, (player.points || 0) + delta)
+  };
+});
+
+/**
+ * Rank players by points, highest first
+ * @param {Array} players - Session players
+ * @returns {Array} Standings with rank
+ */
+const calculateStandings = (players = []) => {
+  const sorted = [...players].sort((a, b) => (b.points || 0) - (a.points || 0));
+
+  let rank = 0;
+  let previousPoints = null;
+
+  return sorted.map((player, index) => {
+    const points = player.points || 0;
+    if (points !== previousPoints) {
+      rank = index + 1;
+      previousPoints = points;
+    }
+
+    return {
+      userId: player.userId,
+      displayName: player.displayName,
+      points,
+      connectionLevel: player.connectionLevel,
+      isActive: player.isActive,
+      rank
+    };
+  });
+};
+
+/**
+ * Decide the end-of-game result for the session's win condition
+ * @param {Object} session - Session object
+ * @param {Object} scoring - Scoring configuration
+ * @returns {Object} Game result
+ */
+const determineGameResult = (session, scoring = config.game.scoring) => {
+  const configuration = session.configuration || {};
+  const winCondition = configuration.winCondition || 'first_to_level_4';
+  const standings = calculateStandings(session.players);
+  const teamScore = standings.reduce((sum, player) => sum + player.points, 0);
+
+  const result = {
+    winCondition,
+    standings,
+    teamScore,
+    winner: null,
+    winners: [],
+    isTie: false
+  };
+
+  if (winCondition === 'collaborative') {
+    // The table wins or loses together
+    const target = configuration.collaborativeTarget || scoring.collaborativeTarget;
+    const achieved = teamScore >= target || session.currentLevel >= 4;
+
+    return {
+      ...result,
+      target,
+      achieved,
+      winners: achieved ? standings : []
+    };
+  }
+
+  if (winCondition === 'highest_points') {
+    const topPoints = standings.length > 0 ? standings[0].points : 0;
+    const winners = topPoints > 0
+      ? standings.filter((player) => player.points === topPoints)
+      : [];
+
+    return {
+      ...result,
+      winners,
+      winner: winners.length === 1 ? winners[0] : null,
+      isTie: winners.length > 1
+    };
+  }
+
+  // first_to_level_4: whoever completed the card that unlocked the final level
+  const reachedBy = session.firstToMaxLevel && session.firstToMaxLevel.playerId;
+  const winner = standings.find((player) => player.userId === reachedBy) || null;
+
+  return {
+    ...result,
+    winner,
+    winners: winner ? [winner] : []
+  };
+};
+
+module.exports = {
+  calculateCardPoints,
+  applyPoints,
+  calculateStandings,
+  determineGameResult
+};
@@ -1,4 +1,14 @@
 const Joi = require('joi');
+const { contentFilterSchema } = require('../models/Card');
+const {
+  HouseRuleSchema,
+  CustomRulesSchema,
+  DrinkingSchema,
+  TimerSchema,
+  ProgressionSchema,
+  FreshnessSchema
+} = require('../models/GameSession');
+const config = require('../config');
 
 // Age verification helper
 const minimumAge = 18;
@@ -21,16 +31,22 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const preferencesSchema = Joi.object({
+  relationshipTypes: Joi.array().items(
+    Joi.string().valid('friends', 'colleagues', 'new_couples', 'established_couples', 'family')
+  ).optional(),
+  contentFilters: contentFilterSchema.optional()
+});
+
 const updateProfileSchema = Joi.object({
   displayName: Joi.string().min(1).max(50).optional(),
   avatar: Joi.string().uri().optional(),
   language: Joi.string().valid('en', 'vn').optional(), // NEW
-  preferences: Joi.object({
-    relationshipTypes: Joi.array().items(
-      Joi.string().valid('friends', 'colleagues', 'new_couples', 'established_couples', 'family')
-    ).optional(),
-    contentFilters: Joi.object().optional()
-  }).optional()
+  preferences: preferencesSchema.optional()
+});
+
+const updatePreferencesSchema = Joi.object({
+  preferences: preferencesSchema.required()
 });
 
 const createGameSessionSchema = Joi.object({
@@ -51,14 +67,76 @@ const createGameSessionSchema = Joi.object({
     .max(8)
     .optional(), // Made optional for single-host model
   configuration: Joi.object({
-    contentFilters: Joi.object().optional(),
+    contentFilters: contentFilterSchema.optional(),
     includeUnassignedCards: Joi.boolean().optional(), // NEW
     maxDuration: Joi.number().min(300000).max(7200000).optional(),
-    winCondition: Joi.string().valid('first_to_level_4', 'highest_points', 'collaborative').default('first_to_level_4')
+    winCondition: Joi.string().valid('first_to_level_4', 'highest_points', 'collaborative').default('first_to_level_4'),
+    collaborativeTarget: Joi.number().integer().min(1).optional(),
+    undoDepth: Joi.number().integer().min(0).max(10)
+      .optional(),
+    turnOrder: Joi.string().valid('sequential', 'random', 'host_picks').optional(),
+    selectionStrategy: Joi.string().valid('weighted', 'uniform').optional(),
+    selectionSeed: Joi.alternatives().try(Joi.number(), Joi.string()).optional(),
+    freshness: FreshnessSchema.optional(),
+    progression: ProgressionSchema.optional(),
+    soberMode: Joi.boolean().optional(),
+    levelMode: Joi.string().valid('session', 'player').optional(),
+    customRules: CustomRulesSchema.optional(),
+    drinking: DrinkingSchema.optional(),
+    timers: TimerSchema.optional()
   }).optional()
 });
 
+const sipLimitSchema = Joi.object({
+  maxSipsPerHour: Joi.number().integer().min(0).max(30)
+    .allow(null)
+    .required()
+});
+
+const cardRatingSchema = Joi.object({
+  cardId: Joi.string().required(),
+  stars: Joi.number().integer().min(1).max(5)
+    .required(),
+  reasons: Joi.array().items(Joi.string().valid(...config.game.ratings.reasonTags)).unique().max(3)
+    .default([]),
+  comment: Joi.string().trim().max(500)
+    .optional()
+});
+
+const offlineSyncSchema = Joi.object({
+  bundleId: Joi.string().required(),
+  signature: Joi.string().hex().required(),
+  events: Joi.array().items(Joi.object({
+    eventId: Joi.string().max(100).required(), // Generated by the client, unique per event
+    type: Joi.string().valid('card_drawn', 'card_completed', 'card_skipped', 'session_ended')
+      .required(),
+    cardId: Joi.string().when('type', {
+      is: 'session_ended',
+      then: Joi.forbidden(),
+      otherwise: Joi.required()
+    }),
+    playerId: Joi.string().when('type', {
+      is: 'card_drawn',
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    }),
+    partnerId: Joi.string().optional(),
+    occurredAt: Joi.date().required()
+  })).max(config.game.offline.maxEventsPerSync)
+    .required()
+});
+
+const houseRulePresetSchema = Joi.object({
+  rules: Joi.array().items(HouseRuleSchema).min(1).max(20)
+    .required()
+});
+
 // NEW: Deck validation schemas
+const guestPlayerSchema = Joi.object({
+  displayName: Joi.string().trim().min(1).max(50)
+    .required()
+});
+
 const createDeckSchema = Joi.object({
   name: Joi.object({
     en: Joi.string().required(),
@@ -100,7 +178,16 @@ const createCardSchema = Joi.object({
   tier: Joi.string().valid('FREE', 'PREMIUM').optional(),
   theta: Joi.number().min(0.1).max(1.0).optional(),
   categories: Joi.array().items(Joi.string()).optional(),
-  contentWarnings: Joi.array().items(Joi.string()).optional()
+  contentWarnings: Joi.array().items(Joi.string()).optional(),
+  involvesDrinking: Joi.boolean().optional(),
+  soberContent: Joi.object({
+    en: Joi.string().min(10).max(500).optional(),
+    vn: Joi.string().min(10).max(500).optional()
+  }).optional(),
+  metadata: Joi.object({
+    estimatedResponseTime: Joi.number().integer().min(5).max(600)
+      .optional()
+  }).unknown().optional()
 });
 
 const generateCardsSchema = Joi.object({
@@ -120,7 +207,13 @@ module.exports = {
   registerSchema,
   loginSchema,
   updateProfileSchema,
+  updatePreferencesSchema,
   createGameSessionSchema,
+  guestPlayerSchema,
+  houseRulePresetSchema,
+  sipLimitSchema,
+  cardRatingSchema,
+  offlineSyncSchema,
   createDeckSchema,
   createCardSchema,
   generateCardsSchema,
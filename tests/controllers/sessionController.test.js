@@ -0,0 +1,110 @@
+const { EventEmitter } = require('events');
+
+const mockSessionService = {
+  getSessionById: jest.fn(),
+  drawCard: jest.fn()
+};
+
+jest.mock('../../src/services/sessionService', () => jest.fn(() => mockSessionService));
+
+const sessionController = require('../../src/controllers/sessionController');
+const sessionEventBus = require('../../src/services/sessionEventBus');
+
+const session = {
+  id: 's1',
+  hostId: 'host',
+  players: [
+    { userId: 'host', isActive: true },
+    { userId: 'bao', isActive: true },
+    { userId: 'alex', isActive: false }
+  ]
+};
+
+const createStream = (uid) => {
+  const req = new EventEmitter();
+  req.params = { id: 's1' };
+  req.user = { uid };
+
+  const res = {
+    chunks: [],
+    ended: false,
+    status: jest.fn(() => res),
+    set: jest.fn(() => res),
+    flushHeaders: jest.fn(),
+    write: jest.fn((chunk) => res.chunks.push(chunk)),
+    end: jest.fn(() => {
+      res.ended = true;
+    })
+  };
+
+  return { req, res };
+};
+
+describe('SessionController', () => {
+  describe('streamSession', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockSessionService.getSessionById.mockResolvedValue(session);
+    });
+
+    test('should send a snapshot, then every event of the session', async () => {
+      const { req, res } = createStream('bao');
+
+      await sessionController.streamSession(req, res);
+      sessionEventBus.publish('s1', 'card_drawn', { cardId: 'c1' });
+      req.emit('close');
+
+      expect(res.set)
+        .toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+      expect(res.chunks[0])
+        .toMatch(/^event: snapshot\n/);
+      expect(res.chunks[1])
+        .toMatch(/^event: card_drawn\ndata: .*"cardId":"c1"/);
+      expect(sessionEventBus.subscriberCount('s1'))
+        .toBe(0);
+    });
+
+    test('should turn away players no longer at the table', async () => {
+      const { req, res } = createStream('alex');
+
+      await expect(sessionController.streamSession(req, res))
+        .rejects
+        .toMatchObject({ statusCode: 403 });
+      expect(res.flushHeaders)
+        .not.toHaveBeenCalled();
+    });
+
+    test('should close the stream of a player who is kicked', async () => {
+      const kicked = createStream('bao');
+      const host = createStream('host');
+
+      await sessionController.streamSession(kicked.req, kicked.res);
+      await sessionController.streamSession(host.req, host.res);
+      sessionEventBus.publish('s1', 'player_kicked', { playerId: 'bao' });
+
+      expect(kicked.res.ended)
+        .toBe(true);
+      expect(host.res.ended)
+        .toBe(false);
+      expect(sessionEventBus.subscriberCount('s1'))
+        .toBe(1);
+      host.req.emit('close');
+    });
+  });
+
+  describe('drawCard', () => {
+    test('should report the level and cards remaining after the draw', async () => {
+      mockSessionService.getSessionById.mockResolvedValue({ ...session, currentLevel: 1 });
+      mockSessionService.drawCard.mockResolvedValue({
+        id: 'c1', playerId: 'bao', triggeredRules: [], currentLevel: 2, turnLevel: 2, cardsRemaining: 7
+      });
+      const req = { params: { id: 's1' }, query: {}, user: { uid: 'host' } };
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+
+      await sessionController.drawCard(req, res);
+
+      expect(res.json.mock.calls[0][0].data)
+        .toEqual(expect.objectContaining({ currentLevel: 2, cardsRemaining: 7 }));
+    });
+  });
+});
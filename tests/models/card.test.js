@@ -0,0 +1,189 @@
+const {
+  contentFilterSchema,
+  mergeContentFilters,
+  matchesContentFilters,
+  getCardContent,
+  hasSoberVariant,
+  applyCardRating,
+  applyCardTiming,
+  applyCardSkip
+} = require('../../src/models/Card');
+
+const card = {
+  type: 'challenge',
+  connectionLevel: 3,
+  contentWarnings: ['alcohol'],
+  categories: ['romance']
+};
+
+describe('Card model', () => {
+  describe('contentFilterSchema', () => {
+    test('should reject unknown card types', () => {
+      const { error } = contentFilterSchema.validate({ allowedCardTypes: ['trivia'] });
+
+      expect(error)
+        .toBeDefined();
+    });
+  });
+
+  describe('mergeContentFilters', () => {
+    test('should apply the exclusions of every filter', () => {
+      const merged = mergeContentFilters(
+        { excludedContentWarnings: ['alcohol'], allowedCardTypes: ['question', 'challenge'] },
+        {
+          excludedContentWarnings: ['nsfw'],
+          excludedCategories: ['work'],
+          allowedCardTypes: ['challenge', 'wild'],
+          maxConnectionLevel: 3
+        },
+        undefined
+      );
+
+      expect(merged)
+        .toEqual({
+          excludedContentWarnings: ['alcohol', 'nsfw'],
+          excludedCategories: ['work'],
+          allowedCardTypes: ['challenge'],
+          maxConnectionLevel: 3
+        });
+    });
+
+    test('should leave types and level unrestricted when no filter sets them', () => {
+      expect(mergeContentFilters({}, { excludedCategories: ['work'] }))
+        .toEqual({ excludedContentWarnings: [], excludedCategories: ['work'] });
+    });
+  });
+
+  describe('matchesContentFilters', () => {
+    test('should accept cards when there are no filters', () => {
+      expect(matchesContentFilters(card, undefined))
+        .toBe(true);
+      expect(matchesContentFilters(card, mergeContentFilters()))
+        .toBe(true);
+    });
+
+    test('should reject cards caught by any filter', () => {
+      expect(matchesContentFilters(card, { excludedContentWarnings: ['alcohol'] }))
+        .toBe(false);
+      expect(matchesContentFilters(card, { excludedCategories: ['romance'] }))
+        .toBe(false);
+      expect(matchesContentFilters(card, { allowedCardTypes: ['question'] }))
+        .toBe(false);
+      expect(matchesContentFilters(card, { maxConnectionLevel: 2 }))
+        .toBe(false);
+    });
+  });
+
+  describe('sober variants', () => {
+    const drinkingCard = {
+      involvesDrinking: true,
+      content: { en: 'Take a sip for every ex you still follow', vn: 'Uống một ngụm...' },
+      soberContent: { en: 'Name every ex you still follow' }
+    };
+
+    test('should only require a variant for drinking cards', () => {
+      expect(hasSoberVariant(card, 'vn'))
+        .toBe(true);
+      expect(hasSoberVariant(drinkingCard, 'en'))
+        .toBe(true);
+      expect(hasSoberVariant({ ...drinkingCard, soberContent: undefined }, 'en'))
+        .toBe(false);
+    });
+
+    test('should show the sober variant only in sober mode', () => {
+      expect(getCardContent(drinkingCard, 'en'))
+        .toBe('Take a sip for every ex you still follow');
+      expect(getCardContent(drinkingCard, 'en', true))
+        .toBe('Name every ex you still follow');
+      expect(getCardContent(drinkingCard, 'vn', true))
+        .toBe('Name every ex you still follow');
+    });
+  });
+
+  describe('applyCardRating', () => {
+    test('should fold a first rating into empty statistics', () => {
+      expect(applyCardRating({ timesDrawn: 3 }, { stars: 4, reasons: ['boring'] }))
+        .toEqual({
+          averageRating: 4,
+          feedbackCount: 1,
+          ratingSum: 4,
+          ratingDistribution: {
+            1: 0, 2: 0, 3: 0, 4: 1, 5: 0
+          },
+          reasonCounts: { boring: 1 }
+        });
+    });
+
+    test('should replace a player\'s previous rating', () => {
+      const statistics = applyCardRating(
+        applyCardRating({}, { stars: 2, reasons: ['too_awkward'] }),
+        { stars: 5, reasons: [] }
+      );
+
+      const updated = applyCardRating(
+        statistics,
+        { stars: 3, reasons: [] },
+        { stars: 2, reasons: ['too_awkward'] }
+      );
+
+      expect(updated.feedbackCount)
+        .toBe(2);
+      expect(updated.averageRating)
+        .toBe(4);
+      expect(updated.ratingDistribution['2'])
+        .toBe(0);
+      expect(updated.reasonCounts)
+        .toEqual({ too_awkward: 0 });
+    });
+  });
+
+  describe('applyCardTiming', () => {
+    test('should average answer times and count timeouts', () => {
+      const statistics = applyCardTiming(
+        applyCardTiming({}, { responseTime: 30000, timedOut: false }),
+        { responseTime: 60000, timedOut: true }
+      );
+
+      expect(statistics)
+        .toEqual({
+          timedPlays: 2,
+          totalResponseTime: 90000,
+          averageResponseTime: 45000,
+          timeouts: 1
+        });
+    });
+
+    test('should take back an undone play', () => {
+      const statistics = applyCardTiming(
+        { timedPlays: 1, totalResponseTime: 60000, timeouts: 1 },
+        { responseTime: 60000, timedOut: true },
+        true
+      );
+
+      expect(statistics)
+        .toEqual({
+          timedPlays: 0,
+          totalResponseTime: 0,
+          averageResponseTime: 0,
+          timeouts: 0
+        });
+    });
+  });
+
+  describe('applyCardSkip', () => {
+    test('should count skips against draws', () => {
+      expect(applyCardSkip({ timesDrawn: 4, timesSkipped: 1, skipRate: 0.25 }))
+        .toEqual({ timesSkipped: 2, skipRate: 0.5 });
+    });
+
+    test('should derive the skip count of cards that only have a rate', () => {
+      expect(applyCardSkip({ timesDrawn: 5, skipRate: 0.2 }))
+        .toEqual({ timesSkipped: 2, skipRate: 0.4 });
+    });
+
+    test('should take back an undone skip', () => {
+      expect(applyCardSkip({ timesDrawn: 3, timesSkipped: 2, skipRate: 0.5 }, true))
+        .toEqual({ timesSkipped: 1, skipRate: 1 / 3 });
+    });
+  });
+});
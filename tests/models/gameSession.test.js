@@ -0,0 +1,388 @@
+const {
+  selectNextPlayer,
+  calculateSessionStats,
+  bucketCardPool,
+  replacePoolEntry,
+  getPoolCandidates,
+  countRemainingCards,
+  getExpiryReason,
+  createUndoEntry,
+  pushUndoEntry,
+  buildUndoUpdates,
+  buildGuestClaimUpdates,
+  applySessionUpdates,
+  calculateDeckProgress,
+  isSessionParticipant
+} = require('../../src/models/GameSession');
+
+const players = [
+  { userId: 'host', displayName: 'Host', isActive: true },
+  { userId: 'alex', displayName: 'Alex', isActive: false },
+  { userId: 'bao', displayName: 'Bao', isActive: true },
+  { userId: 'chi', displayName: 'Chi', isActive: true }
+];
+
+describe('GameSession model', () => {
+  describe('selectNextPlayer', () => {
+    test('should start sequential rotation with the first active seat', () => {
+      expect(selectNextPlayer({ players, configuration: {} }))
+        .toBe('host');
+    });
+
+    test('should skip inactive players in sequential order and wrap around', () => {
+      const session = { players, configuration: { turnOrder: 'sequential' } };
+
+      expect(selectNextPlayer({ ...session, currentPlayerId: 'host' }))
+        .toBe('bao');
+      expect(selectNextPlayer({ ...session, currentPlayerId: 'chi' }))
+        .toBe('host');
+    });
+
+    test('should never repeat the current player in random order', () => {
+      const session = {
+        players,
+        currentPlayerId: 'bao',
+        configuration: { turnOrder: 'random' }
+      };
+
+      expect(selectNextPlayer(session, { random: () => 0 }))
+        .toBe('host');
+      expect(selectNextPlayer(session, { random: () => 0.99 }))
+        .toBe('chi');
+    });
+
+    test('should only accept active players picked by the host', () => {
+      const session = { players, configuration: { turnOrder: 'host_picks' } };
+
+      expect(selectNextPlayer(session, { requestedPlayerId: 'chi' }))
+        .toBe('chi');
+      expect(selectNextPlayer(session, { requestedPlayerId: 'alex' }))
+        .toBeNull();
+      expect(selectNextPlayer(session))
+        .toBeNull();
+    });
+
+    test('should return null without active players', () => {
+      expect(selectNextPlayer({ players: [{ userId: 'host', isActive: false }] }))
+        .toBeNull();
+    });
+  });
+
+  describe('isSessionParticipant', () => {
+    const session = { hostId: 'host', players };
+
+    test('should let the host and active players in', () => {
+      expect(isSessionParticipant(session, 'host'))
+        .toBe(true);
+      expect(isSessionParticipant(session, 'bao'))
+        .toBe(true);
+    });
+
+    test('should shut out kicked or departed players and strangers', () => {
+      expect(isSessionParticipant(session, 'alex'))
+        .toBe(false);
+      expect(isSessionParticipant(session, 'dee'))
+        .toBe(false);
+    });
+  });
+
+  describe('calculateSessionStats', () => {
+    test('should report per-player card counts from card assignments', () => {
+      const stats = calculateSessionStats({
+        players,
+        currentLevel: 1,
+        startedAt: new Date(Date.now() - 60000),
+        drawnCards: ['c1', 'c2', 'c3'],
+        completedCards: ['c1', 'c3'],
+        skippedCards: ['c2'],
+        cardAssignments: { c1: 'host', c2: 'bao', c3: 'bao' }
+      });
+
+      expect(stats.playerStats.bao)
+        .toEqual(expect.objectContaining({
+          cardsDrawn: 2,
+          cardsCompleted: 1,
+          cardsSkipped: 1
+        }));
+      expect(stats.playerStats.chi.cardsDrawn)
+        .toBe(0);
+    });
+  });
+
+  describe('card pool snapshot', () => {
+    const cards = [
+      {
+        id: 'c1', type: 'question', connectionLevel: 1, content: { en: 'Long content' }
+      },
+      {
+        id: 'c2', type: 'challenge', connectionLevel: 2, statistics: { skipRate: 0.4 }
+      },
+      { id: 'c3', type: 'scenario', connectionLevel: 3 }
+    ];
+
+    test('should bucket metadata-only entries by level', () => {
+      const pool = bucketCardPool(cards);
+
+      expect(pool['1'])
+        .toEqual([expect.objectContaining({ id: 'c1', type: 'question', tier: 'FREE' })]);
+      expect(pool['1'][0].content)
+        .toBeUndefined();
+      expect(pool['2'][0].statistics.skipRate)
+        .toBe(0.4);
+      expect(pool['4'])
+        .toEqual([]);
+    });
+
+    test('should only offer undrawn, unretired cards up to the level', () => {
+      const session = {
+        cardPool: bucketCardPool(cards),
+        availableCardPool: ['c1', 'c2', 'c3'],
+        drawnCards: ['c1'],
+        retiredCardIds: ['c3']
+      };
+
+      expect(getPoolCandidates(session, 4).map((entry) => entry.id))
+        .toEqual(['c2']);
+      expect(countRemainingCards(session))
+        .toBe(1);
+    });
+
+    test('should move edited entries to their new level', () => {
+      const pool = bucketCardPool(cards);
+      const updated = replacePoolEntry(pool, pool['2'][0], {
+        ...pool['2'][0],
+        connectionLevel: 4
+      });
+
+      expect(updated['2'])
+        .toEqual([]);
+      expect(updated['4'].map((entry) => entry.id))
+        .toEqual(['c2']);
+    });
+  });
+
+  describe('getExpiryReason', () => {
+    const now = new Date('2026-01-01T12:00:00Z');
+    const minutesAgo = (minutes) => new Date(now.getTime() - (minutes * 60000));
+    const options = {
+      maxDuration: 60 * 60000,
+      idleTimeout: 30 * 60000,
+      pausedTimeout: 120 * 60000
+    };
+
+    test('should expire sessions past their own maxDuration', () => {
+      const session = {
+        startedAt: minutesAgo(20),
+        updatedAt: minutesAgo(1),
+        configuration: { maxDuration: 15 * 60000 }
+      };
+
+      expect(getExpiryReason(session, options, now))
+        .toBe('max_duration');
+    });
+
+    test('should not count paused time towards maxDuration', () => {
+      const session = {
+        startedAt: minutesAgo(70),
+        updatedAt: minutesAgo(1),
+        analytics: { pauseDuration: 20 * 60000 },
+        configuration: {}
+      };
+
+      expect(getExpiryReason(session, options, now))
+        .toBeNull();
+    });
+
+    test('should expire sessions without recent actions as idle', () => {
+      const session = {
+        status: 'active',
+        startedAt: minutesAgo(45),
+        updatedAt: minutesAgo(40),
+        configuration: {}
+      };
+
+      expect(getExpiryReason(session, options, now))
+        .toBe('idle');
+    });
+
+    test('should keep paused sessions open until the pause runs too long', () => {
+      const session = {
+        status: 'paused',
+        startedAt: minutesAgo(45),
+        pausedAt: minutesAgo(40),
+        updatedAt: minutesAgo(40),
+        configuration: {}
+      };
+
+      expect(getExpiryReason(session, options, now))
+        .toBeNull();
+      expect(getExpiryReason({ ...session, pausedAt: minutesAgo(130) }, options, now))
+        .toBe('idle');
+    });
+  });
+
+  describe('undo', () => {
+    const before = {
+      status: 'active',
+      currentLevel: 1,
+      drawnCards: ['c1'],
+      completedCards: [],
+      skippedCards: [],
+      cardAssignments: { c1: 'host' },
+      players: [{ userId: 'host', points: 20 }],
+      analytics: { levelProgressionTime: {} }
+    };
+
+    test('should keep only the newest entries up to the depth', () => {
+      const session = { undoStack: [{ cardId: 'a' }, { cardId: 'b' }] };
+      const entry = createUndoEntry(before, 'skip', 'c1', 'host');
+
+      expect(pushUndoEntry(session, entry, 2).map((e) => e.cardId))
+        .toEqual(['b', 'c1']);
+      expect(pushUndoEntry(session, entry, 0))
+        .toEqual([]);
+    });
+
+    test('should restore the captured state and pop the entry', () => {
+      const entry = createUndoEntry(before, 'complete', 'c1', 'host');
+      const after = {
+        ...before,
+        currentLevel: 2,
+        completedCards: ['c1'],
+        players: [{ userId: 'host', points: 35 }, { userId: 'bao', points: 5 }],
+        undoStack: [entry]
+      };
+
+      const updates = buildUndoUpdates(after, entry);
+
+      expect(updates.completedCards)
+        .toEqual([]);
+      expect(updates.currentLevel)
+        .toBe(1);
+      expect(updates.players)
+        .toEqual([{ userId: 'host', points: 20 }, { userId: 'bao', points: 5 }]);
+      expect(updates.undoStack)
+        .toEqual([]);
+    });
+
+    test('should take back the sips poured by the undone action', () => {
+      const entry = createUndoEntry(before, 'skip', 'c1', 'host');
+      const after = {
+        ...before,
+        skippedCards: ['c1'],
+        sipLedger: { host: { sips: 3, log: [{ at: new Date(), sips: 3 }] } },
+        undoStack: [entry]
+      };
+
+      expect(buildUndoUpdates(after, entry).sipLedger)
+        .toEqual({});
+    });
+  });
+
+  describe('buildGuestClaimUpdates', () => {
+    test('should move every reference to the guest over to the user', () => {
+      const session = {
+        players: [
+          { userId: 'host', displayName: 'Host' },
+          { userId: 'guest_1', displayName: 'Dee', isGuest: true }
+        ],
+        currentPlayerId: 'guest_1',
+        cardAssignments: { c1: 'host', c2: 'guest_1' },
+        firstToMaxLevel: { playerId: 'guest_1' },
+        result: {
+          winner: { userId: 'guest_1', points: 40 },
+          winners: [{ userId: 'guest_1', points: 40 }],
+          standings: [{ userId: 'guest_1', rank: 1 }, { userId: 'host', rank: 2 }]
+        }
+      };
+
+      const updates = buildGuestClaimUpdates(session, 'guest_1', 'dee');
+
+      expect(updates.players[1])
+        .toEqual({
+          userId: 'dee', displayName: 'Dee', isGuest: false, claimedFrom: 'guest_1'
+        });
+      expect(updates.cardAssignments)
+        .toEqual({ c1: 'host', c2: 'dee' });
+      expect(updates.currentPlayerId)
+        .toBe('dee');
+      expect(updates.firstToMaxLevel.playerId)
+        .toBe('dee');
+      expect(updates.result.winner.userId)
+        .toBe('dee');
+      expect(updates.result.standings.map((s) => s.userId))
+        .toEqual(['dee', 'host']);
+    });
+  });
+
+  describe('applySessionUpdates', () => {
+    test('should apply dotted field paths without touching sibling fields', () => {
+      const session = {
+        currentLevel: 1,
+        cardAssignments: { c1: 'host' },
+        analytics: { pauseDuration: 5, levelProgressionTime: { 2: 100 } }
+      };
+
+      const next = applySessionUpdates(session, {
+        currentLevel: 3,
+        'cardAssignments.c2': 'bao',
+        'analytics.levelProgressionTime.3': 200
+      });
+
+      expect(next)
+        .toEqual({
+          currentLevel: 3,
+          cardAssignments: { c1: 'host', c2: 'bao' },
+          analytics: { pauseDuration: 5, levelProgressionTime: { 2: 100, 3: 200 } }
+        });
+      expect(session.cardAssignments)
+        .toEqual({ c1: 'host' });
+    });
+  });
+
+  describe('calculateDeckProgress', () => {
+    const session = {
+      selectedDeckIds: ['core', 'finale'],
+      requiredDeckIds: ['finale'],
+      cardPool: bucketCardPool([
+        { id: 'a', type: 'question', connectionLevel: 1, deckIds: ['core'] },
+        { id: 'b', type: 'question', connectionLevel: 1, deckIds: ['core', 'finale'] },
+        { id: 'c', type: 'challenge', connectionLevel: 2, deckIds: ['finale'] },
+        { id: 'd', type: 'challenge', connectionLevel: 2, deckIds: ['finale'] }
+      ]),
+      retiredCardIds: ['d'],
+      drawnCards: ['b']
+    };
+
+    test('should count played pool cards per deck, ignoring retired ones', () => {
+      expect(calculateDeckProgress(session))
+        .toEqual({
+          core: {
+            totalCards: 2, playedCards: 1, progress: 0.5, requiresAllCards: false, complete: false
+          },
+          finale: {
+            totalCards: 2, playedCards: 1, progress: 0.5, requiresAllCards: true, complete: false
+          }
+        });
+    });
+
+    test('should only be complete once required decks are played through', () => {
+      const partial = calculateSessionStats({
+        ...session, completedCards: [], skippedCards: [], currentLevel: 1, startedAt: new Date()
+      });
+      const full = calculateSessionStats({
+        ...session,
+        drawnCards: ['b', 'c'],
+        completedCards: [],
+        skippedCards: [],
+        currentLevel: 1,
+        startedAt: new Date()
+      });
+
+      expect(partial.isComplete)
+        .toBe(false);
+      expect(full.isComplete)
+        .toBe(true);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { getUserHistoryKey, getGroupHistoryKey } = require('../../src/utils/freshness');
+
+const mockCardHistoryRepository = {
+  appendSession: jest.fn(),
+  findByOwnerKeys: jest.fn()
+};
+
+jest.mock('../../src/repositories/cardHistoryRepository', () => jest.fn(() => mockCardHistoryRepository));
+
+const CardHistoryService = require('../../src/services/cardHistoryService');
+
+describe('CardHistoryService', () => {
+  let cardHistoryService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockCardHistoryRepository.appendSession.mockResolvedValue();
+    cardHistoryService = new CardHistoryService();
+  });
+
+  describe('recordSession', () => {
+    const session = {
+      id: 'session-123',
+      endedAt: new Date('2026-01-01T20:00:00Z'),
+      drawnCards: ['c1', 'c2'],
+      players: [
+        { userId: 'host', isActive: true },
+        { userId: 'bao', isActive: true },
+        { userId: 'kicked', isActive: false }
+      ]
+    };
+
+    test('should only record history for active players', async () => {
+      await cardHistoryService.recordSession(session);
+
+      const ownerKeys = mockCardHistoryRepository.appendSession.mock.calls.map(([key]) => key);
+      expect(ownerKeys).toEqual([
+        getUserHistoryKey('host'),
+        getUserHistoryKey('bao'),
+        getGroupHistoryKey(['host', 'bao'])
+      ]);
+      expect(mockCardHistoryRepository.appendSession).toHaveBeenCalledWith(
+        getGroupHistoryKey(['host', 'bao']),
+        ['host', 'bao'],
+        expect.objectContaining({ sessionId: 'session-123', cardIds: ['c1', 'c2'] }),
+        expect.any(Number)
+      );
+    });
+
+    test('should find the group history recorded by the same active players', async () => {
+      await cardHistoryService.recordSession(session);
+      mockCardHistoryRepository.findByOwnerKeys.mockResolvedValue([]);
+
+      await cardHistoryService.getSeenCardIds(['host', 'bao'], { mode: 'exclude', scope: 'group', lookbackSessions: 5 });
+
+      expect(mockCardHistoryRepository.findByOwnerKeys)
+        .toHaveBeenCalledWith([mockCardHistoryRepository.appendSession.mock.calls[2][0]]);
+    });
+
+    test('should skip the group history when only one player is still active', async () => {
+      await cardHistoryService.recordSession({
+        ...session,
+        players: session.players.map((player) => ({ ...player, isActive: player.userId === 'host' }))
+      });
+
+      expect(mockCardHistoryRepository.appendSession).toHaveBeenCalledTimes(1);
+      expect(mockCardHistoryRepository.appendSession.mock.calls[0][0]).toBe(getUserHistoryKey('host'));
+    });
+  });
+});
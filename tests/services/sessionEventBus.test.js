@@ -0,0 +1,48 @@
+const sessionEventBus = require('../../src/services/sessionEventBus');
+
+describe('SessionEventBus', () => {
+  test('should deliver events only to the followers of that session', () => {
+    const received = [];
+    const unsubscribe = sessionEventBus.subscribe('s1', (event) => received.push(event));
+    const unsubscribeOther = sessionEventBus.subscribe('s2', () => received.push('wrong'));
+
+    const event = sessionEventBus.publish('s1', 'card_drawn', { cardId: 'c1' });
+    unsubscribe();
+    unsubscribeOther();
+
+    expect(received)
+      .toEqual([event]);
+    expect(event)
+      .toEqual(expect.objectContaining({
+        type: 'card_drawn',
+        sessionId: 's1',
+        payload: { cardId: 'c1' },
+        timestamp: expect.any(String)
+      }));
+  });
+
+  test('should stop delivering once unsubscribed', () => {
+    const listener = jest.fn();
+    const unsubscribe = sessionEventBus.subscribe('s1', listener);
+
+    expect(sessionEventBus.subscriberCount('s1'))
+      .toBe(1);
+    unsubscribe();
+    sessionEventBus.publish('s1', 'card_drawn');
+
+    expect(listener)
+      .not.toHaveBeenCalled();
+    expect(sessionEventBus.subscriberCount('s1'))
+      .toBe(0);
+  });
+
+  test('should not let a broken subscriber fail the publisher', () => {
+    const unsubscribe = sessionEventBus.subscribe('s1', () => {
+      throw new Error('Socket closed');
+    });
+
+    expect(() => sessionEventBus.publish('s1', 'card_drawn'))
+      .not.toThrow();
+    unsubscribe();
+  });
+});
@@ -0,0 +1,477 @@
+const { AppError } = require('../../src/middleware/errorHandler');
+const { applySessionUpdates, createPoolEntry } = require('../../src/models/GameSession');
+const { resolveDrinkingRules } = require('../../src/utils/drinking');
+const { resolveTimerRules } = require('../../src/utils/cardTimers');
+
+// In-memory sessions behind a repository with the real version checks
+let mockSessions = {};
+const mockClone = (session) => JSON.parse(JSON.stringify(session));
+const mockSessionRepository = {
+  findById: jest.fn(async (id) => (mockSessions[id] ? mockClone(mockSessions[id]) : null)),
+  mutate: jest.fn(async (id, mutator) => {
+    const updates = mutator(mockClone(mockSessions[id]));
+    if (updates) {
+      mockSessions[id] = {
+        ...applySessionUpdates(mockSessions[id], updates),
+        version: (mockSessions[id].version || 0) + 1
+      };
+    }
+    return mockClone(mockSessions[id]);
+  }),
+  update: jest.fn(async (id, updates, options = {}) => {
+    if (options.expectedVersion !== undefined
+      && (mockSessions[id].version || 0) !== options.expectedVersion) {
+      throw new AppError('Session was changed by another action, reload it and try again', 409);
+    }
+    return mockSessionRepository.mutate(id, () => updates);
+  }),
+  findByJoinCode: jest.fn(async (code) => Object.values(mockSessions)
+    .find((session) => session.joinCode === code) || null),
+  appendEvent: jest.fn(),
+  findEvents: jest.fn(),
+  findOpenSessions: jest.fn()
+};
+
+const mockCardService = {
+  cardRepository: { findById: jest.fn() },
+  getCardById: jest.fn(),
+  recordCardDrawn: jest.fn(),
+  recordCardSkipped: jest.fn(),
+  revertCardSkipped: jest.fn(),
+  recordCardTiming: jest.fn(),
+  revertCardTiming: jest.fn()
+};
+
+jest.mock('../../src/repositories/gameSessionRepository', () => jest.fn(() => mockSessionRepository));
+jest.mock('../../src/services/cardService', () => jest.fn(() => mockCardService));
+jest.mock('../../src/services/deckService', () => jest.fn(() => ({})));
+const mockCardHistoryService = {
+  getSeenCardIds: jest.fn()
+};
+
+jest.mock('../../src/services/cardHistoryService', () => jest.fn(() => mockCardHistoryService));
+
+const SessionService = require('../../src/services/sessionService');
+const sessionEventBus = require('../../src/services/sessionEventBus');
+
+const card = {
+  id: 'c32', type: 'challenge', connectionLevel: 1, content: { en: 'Dance for a minute' }
+};
+
+const createSession = (overrides = {}) => ({
+  id: 's1',
+  hostId: 'host',
+  status: 'active',
+  version: 0,
+  language: 'en',
+  currentLevel: 1,
+  startedAt: new Date(),
+  players: [
+    {
+      userId: 'host', displayName: 'Host', points: 0, isActive: true
+    },
+    {
+      userId: 'bao', displayName: 'Bao', points: 0, isActive: true
+    }
+  ],
+  drawnCards: ['c32'],
+  completedCards: [],
+  skippedCards: [],
+  cardAssignments: { c32: 'host' },
+  cardPool: {
+    1: [createPoolEntry(card)], 2: [], 3: [], 4: []
+  },
+  houseRules: [{
+    name: 'Skip drinks', on: 'card_skipped', when: {}, target: 'player', sips: 3, points: 0
+  }],
+  drinking: resolveDrinkingRules(),
+  undoStack: [],
+  configuration: {},
+  analytics: {},
+  ...overrides
+});
+
+describe('SessionService', () => {
+  let sessionService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSessions = { s1: createSession() };
+    mockCardService.getCardById.mockResolvedValue(card);
+    mockCardService.cardRepository.findById.mockResolvedValue(card);
+    mockCardHistoryService.getSeenCardIds.mockResolvedValue([]);
+    sessionService = new SessionService();
+  });
+
+  describe('recordEvent', () => {
+    test('should push actions to the devices following the session and log them', async () => {
+      const received = [];
+      const unsubscribe = sessionEventBus.subscribe('s1', (event) => received.push(event));
+
+      await sessionService.completeCard('s1', 'c32');
+      unsubscribe();
+
+      expect(received.map((event) => event.type))
+        .toEqual(['card_completed']);
+      expect(received[0].payload)
+        .toEqual(expect.objectContaining({ cardId: 'c32', playerId: 'host', points: 15 }));
+      expect(mockSessionRepository.appendEvent)
+        .toHaveBeenCalledWith('s1', expect.objectContaining({
+          type: 'card_completed',
+          timestamp: expect.any(Date)
+        }));
+    });
+
+    test('should not fail the action when the event log cannot be written', async () => {
+      mockSessionRepository.appendEvent.mockRejectedValueOnce(new Error('Firestore down'));
+
+      await sessionService.completeCard('s1', 'c32');
+
+      expect(mockSessions.s1.completedCards)
+        .toEqual(['c32']);
+    });
+
+    test('should read the event log through the repository', async () => {
+      const after = new Date();
+      mockSessionRepository.findEvents.mockResolvedValue([{ type: 'card_drawn' }]);
+
+      expect(await sessionService.getSessionEvents('s1', { after, limit: 10 }))
+        .toEqual([{ type: 'card_drawn' }]);
+      expect(mockSessionRepository.findEvents)
+        .toHaveBeenCalledWith('s1', { after, limit: 10 });
+    });
+  });
+
+  describe('lobby', () => {
+    beforeEach(() => {
+      mockSessions.s1 = createSession({ status: 'waiting', joinCode: 'ABC123', drawnCards: [] });
+      global.mockUserService.getUserById.mockResolvedValue({ uid: 'chi', displayName: 'Chi' });
+    });
+
+    test('should seat a user joining with the code and announce them', async () => {
+      const session = await sessionService.joinSession('abc123', 'chi');
+
+      expect(session.players.map((player) => player.userId))
+        .toEqual(['host', 'bao', 'chi']);
+      expect(mockSessionRepository.appendEvent)
+        .toHaveBeenCalledWith('s1', expect.objectContaining({ type: 'player_joined' }));
+
+      await sessionService.joinSession('ABC123', 'chi');
+      expect(mockSessions.s1.players)
+        .toHaveLength(3);
+    });
+
+    test('should keep kicked players out', async () => {
+      await sessionService.kickPlayer('s1', 'bao');
+
+      expect(mockSessions.s1.players[1].isActive)
+        .toBe(false);
+      await expect(sessionService.joinSession('ABC123', 'bao'))
+        .rejects
+        .toMatchObject({ statusCode: 403 });
+    });
+
+    test('should refuse new players once the lobby is locked', async () => {
+      await sessionService.setLobbyLocked('s1', true);
+
+      await expect(sessionService.joinSession('ABC123', 'chi'))
+        .rejects
+        .toThrow('Lobby is locked');
+    });
+
+    test('should not let the host be kicked or leave', async () => {
+      await expect(sessionService.kickPlayer('s1', 'host'))
+        .rejects
+        .toThrow('Host cannot be removed from the session');
+      await expect(sessionService.leaveSession('s1', 'host'))
+        .rejects
+        .toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('drawCard', () => {
+    test('should report the level and the cards left after retired ones', async () => {
+      mockSessions.s1 = createSession({
+        availableCardPool: ['c30', 'c31', 'c32'],
+        drawnCards: ['c31'],
+        retiredCardIds: ['c30'],
+        cardAssignments: {},
+        houseRules: []
+      });
+
+      const drawn = await sessionService.drawCard('s1');
+
+      expect(drawn)
+        .toEqual(expect.objectContaining({
+          id: 'c32',
+          currentLevel: 1,
+          cardsRemaining: 0
+        }));
+      expect(mockSessions.s1.drawnCards)
+        .toEqual(['c31', 'c32']);
+    });
+  });
+
+  describe('completeCard and skipCard', () => {
+    test('should not skip a card that was already completed', async () => {
+      await sessionService.completeCard('s1', 'c32');
+
+      await expect(sessionService.skipCard('s1', 'c32'))
+        .rejects
+        .toThrow('Card already completed');
+      expect(mockSessions.s1.skippedCards)
+        .toEqual([]);
+      expect(mockSessions.s1.players[0].points)
+        .toBe(15);
+      expect(mockSessions.s1.sipLedger)
+        .toBeUndefined();
+    });
+
+    test('should not complete a card that was already skipped', async () => {
+      await sessionService.skipCard('s1', 'c32');
+
+      await expect(sessionService.completeCard('s1', 'c32'))
+        .rejects
+        .toThrow('Card already skipped');
+      expect(mockSessions.s1.completedCards)
+        .toEqual([]);
+    });
+
+    test('should skip a card answered after its timer ran out and say so', async () => {
+      const drawnAt = new Date(Date.now() - (5 * 60 * 1000));
+      mockSessions.s1 = createSession({
+        timers: resolveTimerRules({ enabled: true, autoSkip: true }),
+        cardTimers: {
+          c32: {
+            startedAt: drawnAt,
+            durationSeconds: 90,
+            deadline: new Date(drawnAt.getTime() + 90000),
+            pausedTime: 0
+          }
+        }
+      });
+
+      const result = await sessionService.completeCard('s1', 'c32');
+
+      expect(result.timedOut)
+        .toBe(true);
+      expect(result.skippedCards)
+        .toEqual(['c32']);
+      expect(result.completedCards)
+        .toEqual([]);
+    });
+
+    test('should reject an answer computed from a session another action changed', async () => {
+      const stale = mockClone(mockSessions.s1);
+      mockSessions.s1.version = 1;
+      mockSessionRepository.findById.mockResolvedValueOnce(stale);
+
+      await expect(sessionService.completeCard('s1', 'c32'))
+        .rejects
+        .toMatchObject({ statusCode: 409 });
+      expect(mockSessions.s1.completedCards)
+        .toEqual([]);
+      expect(mockSessionRepository.appendEvent)
+        .not.toHaveBeenCalled();
+    });
+  });
+
+  describe('first_to_level_4', () => {
+    const progression = {
+      mode: 'cards', cardsPerLevel: 1, countSkips: true, allowHostLevelUp: true
+    };
+
+    test('should credit the player whose skip reached the last level', async () => {
+      mockSessions.s1 = createSession({
+        currentLevel: 3,
+        completedCards: ['c1', 'c2'],
+        configuration: { progression }
+      });
+
+      await sessionService.skipCard('s1', 'c32');
+
+      expect(mockSessions.s1.currentLevel)
+        .toBe(4);
+      expect(mockSessions.s1.firstToMaxLevel)
+        .toEqual({ playerId: 'host', reachedAt: expect.any(Date) });
+    });
+
+    test('should credit the current player when the host levels up to the last level', async () => {
+      mockSessions.s1 = createSession({
+        currentLevel: 3,
+        currentPlayerId: 'bao',
+        configuration: { progression }
+      });
+
+      await sessionService.levelUp('s1');
+
+      expect(mockSessions.s1.firstToMaxLevel)
+        .toEqual({ playerId: 'bao', reachedAt: expect.any(Date) });
+    });
+  });
+
+  describe('syncOfflineEvents', () => {
+    const occurredAt = new Date(Date.now() - (10 * 60 * 1000));
+    const sync = {
+      bundleId: 'b1',
+      signature: 'signed',
+      events: [{
+        eventId: 'e1', type: 'card_skipped', cardId: 'c32', playerId: 'host', occurredAt
+      }]
+    };
+
+    beforeEach(() => {
+      mockSessions.s1.offlineBundle = {
+        id: 'b1',
+        signature: 'signed',
+        issuedAt: new Date(),
+        expiresAt: new Date(Date.now() + 60000),
+        cardIds: ['c32'],
+        syncedEventIds: []
+      };
+    });
+
+    test('should keep the time the events happened at the table', async () => {
+      const { results } = await sessionService.syncOfflineEvents('s1', sync);
+
+      expect(results)
+        .toEqual([{ eventId: 'e1', status: 'applied' }]);
+      expect(mockSessionRepository.appendEvent)
+        .toHaveBeenCalledWith('s1', expect.objectContaining({
+          type: 'card_skipped',
+          timestamp: occurredAt
+        }));
+      expect(mockSessionRepository.appendEvent)
+        .toHaveBeenCalledWith('s1', expect.objectContaining({
+          type: 'house_rules_triggered',
+          timestamp: occurredAt
+        }));
+      expect(new Date(mockSessions.s1.sipLedger.host.log[0].at))
+        .toEqual(occurredAt);
+    });
+
+    test('should report events synced before from the same bundle as duplicates', async () => {
+      await sessionService.syncOfflineEvents('s1', sync);
+      const { results } = await sessionService.syncOfflineEvents('s1', sync);
+
+      expect(results)
+        .toEqual([{ eventId: 'e1', status: 'duplicate' }]);
+      expect(mockSessions.s1.offlineBundle.syncedEventIds)
+        .toEqual(['e1']);
+    });
+  });
+
+  describe('rematchSession', () => {
+    test('should carry the players over but leave guests to rejoin', async () => {
+      mockSessions.s1 = createSession({
+        status: 'completed',
+        players: [
+          ...createSession().players,
+          {
+            userId: 'guest_1', displayName: 'Dee', isGuest: true, isActive: true
+          }
+        ]
+      });
+      const startSession = jest.spyOn(sessionService, 'startSession')
+        .mockResolvedValue({ id: 's2', joinCode: 'ABC123' });
+
+      await sessionService.rematchSession('s1');
+
+      const { players } = startSession.mock.calls[0][1];
+      expect(players.map((player) => player.userId))
+        .toEqual(['bao']);
+      expect(mockSessions.s1.rematchSessionId)
+        .toBe('s2');
+    });
+
+    test('should start only one rematch for concurrent requests', async () => {
+      mockSessions.s1 = createSession({ status: 'completed' });
+      const startSession = jest.spyOn(sessionService, 'startSession')
+        .mockResolvedValue({ id: 's2', joinCode: 'ABC123' });
+
+      const results = await Promise.allSettled([
+        sessionService.rematchSession('s1'),
+        sessionService.rematchSession('s1')
+      ]);
+
+      expect(results.map((result) => result.status).sort())
+        .toEqual(['fulfilled', 'rejected']);
+      expect(startSession)
+        .toHaveBeenCalledTimes(1);
+      expect(mockSessions.s1.rematchPending)
+        .toBe(false);
+    });
+
+    test('should link the series, leave out drawn cards and keep levels on request', async () => {
+      mockSessions.s1 = createSession({ status: 'completed', currentLevel: 3 });
+      const startSession = jest.spyOn(sessionService, 'startSession')
+        .mockResolvedValue({ id: 's2', joinCode: 'ABC123' });
+
+      await sessionService.rematchSession('s1', { startAtPreviousLevel: true });
+
+      const [sessionData, options] = startSession.mock.calls[0];
+      expect(sessionData)
+        .toEqual(expect.objectContaining({
+          currentLevel: 3, seriesId: 's1', seriesIndex: 2, previousSessionId: 's1'
+        }));
+      expect(options.excludedCardIds)
+        .toEqual(['c32']);
+      expect(mockSessions.s1)
+        .toEqual(expect.objectContaining({ seriesId: 's1', seriesIndex: 1 }));
+    });
+
+    test('should only rematch finished sessions', async () => {
+      await expect(sessionService.rematchSession('s1'))
+        .rejects
+        .toThrow('Only finished sessions can be rematched');
+    });
+  });
+
+  describe('sweepOpenSessions', () => {
+    test('should skip timed-out cards from a single scan of the open sessions', async () => {
+      const drawnAt = new Date(Date.now() - (5 * 60 * 1000));
+      mockSessions.s1 = createSession({
+        timers: resolveTimerRules({ enabled: true, autoSkip: true }),
+        cardTimers: {
+          c32: {
+            startedAt: drawnAt,
+            durationSeconds: 90,
+            deadline: new Date(drawnAt.getTime() + 90000),
+            pausedTime: 0
+          }
+        }
+      });
+      mockSessionRepository.findOpenSessions.mockResolvedValue([mockClone(mockSessions.s1)]);
+
+      const { timedOut, ended } = await sessionService.sweepOpenSessions();
+
+      expect(timedOut)
+        .toBe(1);
+      expect(ended)
+        .toEqual({ max_duration: 0, idle: 0 });
+      expect(mockSessionRepository.findOpenSessions)
+        .toHaveBeenCalledTimes(1);
+      expect(mockSessions.s1.skippedCards)
+        .toEqual(['c32']);
+      expect(mockSessions.s1.cardTimers.c32)
+        .toEqual(expect.objectContaining({ timedOut: true, responseTime: 90000 }));
+    });
+  });
+
+  describe('undoLastAction', () => {
+    test('should take back the sips poured by an undone skip', async () => {
+      await sessionService.skipCard('s1', 'c32');
+      expect(mockSessions.s1.sipLedger.host.sips)
+        .toBe(3);
+
+      await sessionService.undoLastAction('s1');
+
+      expect(mockSessions.s1.sipLedger)
+        .toEqual({});
+      expect(mockSessions.s1.skippedCards)
+        .toEqual([]);
+      expect(mockCardService.revertCardSkipped)
+        .toHaveBeenCalledWith('c32');
+    });
+  });
+});
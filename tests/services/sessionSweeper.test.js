@@ -0,0 +1,46 @@
+const mockSessionService = {
+  sweepOpenSessions: jest.fn(),
+  cleanupOldSessions: jest.fn()
+};
+
+jest.mock('../../src/services/sessionService', () => jest.fn(() => mockSessionService));
+
+const sessionSweeper = require('../../src/services/sessionSweeper');
+
+describe('SessionSweeper', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sessionSweeper.lastCleanupAt = 0;
+    mockSessionService.sweepOpenSessions.mockResolvedValue({
+      timedOut: 0,
+      ended: { max_duration: 1, idle: 0 }
+    });
+    mockSessionService.cleanupOldSessions.mockResolvedValue(2);
+  });
+
+  describe('sweep', () => {
+    test('should expire sessions on every sweep but clean up once per retention interval', async () => {
+      const start = new Date('2026-01-01T20:00:00Z');
+
+      expect(await sessionSweeper.sweep(start))
+        .toEqual({ timedOut: 0, ended: { max_duration: 1, idle: 0 }, deleted: 2 });
+      expect(await sessionSweeper.sweep(new Date(start.getTime() + 60000)))
+        .toEqual(expect.objectContaining({ deleted: 0 }));
+      await sessionSweeper.sweep(new Date(start.getTime() + (6 * 60 * 60 * 1000)));
+
+      expect(mockSessionService.sweepOpenSessions)
+        .toHaveBeenCalledTimes(3);
+      expect(mockSessionService.cleanupOldSessions)
+        .toHaveBeenCalledTimes(2);
+    });
+
+    test('should survive a failing sweep', async () => {
+      mockSessionService.sweepOpenSessions.mockRejectedValue(new Error('Firestore down'));
+
+      expect(await sessionSweeper.sweep())
+        .toBeNull();
+      expect(sessionSweeper.running)
+        .toBe(false);
+    });
+  });
+});
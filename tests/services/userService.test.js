@@ -495,6 +495,47 @@ describe('UserService', () => {
     });
   });
 
+  describe('recordSessionDuration', () => {
+    test('should fold active duration into the average session duration', async () => {
+      // Arrange
+      const uid = 'firebase-uid-123';
+      global.mockUserRepository.findById.mockResolvedValue({
+        ...mockUser,
+        statistics: {
+          totalSessions: 4, // includes the session being ended, recorded at 0
+          averageSessionDuration: 900000
+        }
+      });
+
+      // Act
+      const result = await userService.recordSessionDuration(uid, 1200000);
+
+      // Assert
+      expect(global.mockUserRepository.updateStatistics)
+        .toHaveBeenCalledWith(uid, expect.objectContaining({
+          averageSessionDuration: 1200000 // (4 * 900000 + 1200000) / 4
+        }));
+      expect(result.totalSessions)
+        .toBe(4);
+    });
+
+    test('should handle users without recorded sessions', async () => {
+      // Arrange
+      const uid = 'firebase-uid-123';
+      global.mockUserRepository.findById.mockResolvedValue({
+        ...mockUser,
+        statistics: {}
+      });
+
+      // Act
+      const result = await userService.recordSessionDuration(uid, 600000);
+
+      // Assert
+      expect(result.averageSessionDuration)
+        .toBe(600000);
+    });
+  });
+
   describe('updateLastLogin', () => {
     test('should update last login successfully', async () => {
       // Arrange
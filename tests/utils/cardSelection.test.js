@@ -0,0 +1,151 @@
+const {
+  selectCard,
+  weighCard,
+  pickWeighted,
+  createSeededRandom
+} = require('../../src/utils/cardSelection');
+
+const options = {
+  levelFalloff: 0.4,
+  skipRateWeight: 0.8,
+  repeatTypePenalty: 0.25,
+  typeDistribution: {
+    question: 0.4,
+    challenge: 0.25,
+    scenario: 0.15,
+    connection: 0.1,
+    wild: 0.1
+  }
+};
+
+const card = (id, type, connectionLevel, skipRate = 0) => ({
+  id,
+  type,
+  connectionLevel,
+  statistics: { skipRate }
+});
+
+describe('cardSelection', () => {
+  describe('createSeededRandom', () => {
+    test('should repeat the same sequence for the same seed', () => {
+      const a = createSeededRandom('table-7');
+      const b = createSeededRandom('table-7');
+
+      expect([a(), a(), a()])
+        .toEqual([b(), b(), b()]);
+    });
+
+    test('should produce floats in [0, 1)', () => {
+      const random = createSeededRandom(42);
+      const values = Array.from({ length: 100 }, random);
+
+      values.forEach((value) => {
+        expect(value)
+          .toBeGreaterThanOrEqual(0);
+        expect(value)
+          .toBeLessThan(1);
+      });
+    });
+  });
+
+  describe('pickWeighted', () => {
+    test('should never pick zero-weight items', () => {
+      const random = createSeededRandom(1);
+      const picks = Array.from({ length: 50 }, () => pickWeighted(['a', 'b'], [0, 1], random));
+
+      expect(new Set(picks))
+        .toEqual(new Set(['b']));
+    });
+  });
+
+  describe('weighCard', () => {
+    const context = { currentLevel: 3, typeCounts: {}, lastType: null };
+
+    test('should prefer cards at the current level', () => {
+      expect(weighCard(card('a', 'question', 3), context, options))
+        .toBeGreaterThan(weighCard(card('b', 'question', 2), context, options));
+      expect(weighCard(card('b', 'question', 2), context, options))
+        .toBeGreaterThan(weighCard(card('c', 'question', 1), context, options));
+    });
+
+    test('should down-weight frequently skipped cards', () => {
+      expect(weighCard(card('a', 'question', 3, 0.9), context, options))
+        .toBeLessThan(weighCard(card('b', 'question', 3, 0), context, options));
+    });
+
+    test('should down-weight repeating the previous type', () => {
+      const repeatContext = { ...context, lastType: 'challenge' };
+
+      expect(weighCard(card('a', 'challenge', 3), repeatContext, options))
+        .toBeLessThan(weighCard(card('a', 'challenge', 3), context, options));
+    });
+
+    test('should down-weight cards seen in recent sessions', () => {
+      const seenContext = { ...context, seenCardIds: new Set(['a']) };
+      const seenOptions = { ...options, seenWeight: 0.2 };
+
+      expect(weighCard(card('a', 'question', 3), seenContext, seenOptions))
+        .toBeLessThan(weighCard(card('b', 'question', 3), seenContext, seenOptions));
+    });
+
+    test('should favour under-represented types', () => {
+      const questionHeavy = { ...context, typeCounts: { question: 8, challenge: 0 } };
+
+      expect(weighCard(card('a', 'challenge', 3), questionHeavy, options))
+        .toBeGreaterThan(weighCard(card('b', 'question', 3), questionHeavy, options));
+    });
+  });
+
+  describe('selectCard', () => {
+    const candidates = [
+      card('q1', 'question', 2),
+      card('c1', 'challenge', 2),
+      card('s1', 'scenario', 1, 0.7)
+    ];
+
+    test('should return null without candidates', () => {
+      expect(selectCard([], { currentLevel: 1 }))
+        .toBeNull();
+    });
+
+    test('should be reproducible with a seeded generator', () => {
+      const context = { currentLevel: 2, typeCounts: { question: 1 }, lastType: 'question' };
+      const first = selectCard(candidates, context, {
+        strategy: 'weighted',
+        random: createSeededRandom('seed')
+      });
+      const second = selectCard(candidates, context, {
+        strategy: 'weighted',
+        random: createSeededRandom('seed')
+      });
+
+      expect(first)
+        .toBe(second);
+    });
+
+    test('should pick uniformly with the uniform strategy', () => {
+      const picked = selectCard(candidates, { currentLevel: 2 }, {
+        strategy: 'uniform',
+        random: () => 0.99
+      });
+
+      expect(picked.id)
+        .toBe('s1');
+    });
+
+    test('should mostly follow the weights with the weighted strategy', () => {
+      const random = createSeededRandom(2024);
+      const context = { currentLevel: 2, typeCounts: {}, lastType: 'question' };
+      const counts = { q1: 0, c1: 0, s1: 0 };
+
+      Array.from({ length: 500 }).forEach(() => {
+        counts[selectCard(candidates, context, { strategy: 'weighted', random }).id] += 1;
+      });
+
+      expect(counts.c1)
+        .toBeGreaterThan(counts.q1);
+      expect(counts.q1)
+        .toBeGreaterThan(counts.s1);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const {
+  resolveTimerRules,
+  getCardTimerSeconds,
+  startCardTimer,
+  finishCardTimer,
+  hasTimedOut,
+  findTimedOutCards,
+  buildTimerResumeUpdates
+} = require('../../src/utils/cardTimers');
+
+const drawnAt = new Date('2026-01-01T20:00:00Z');
+const later = (seconds) => new Date(drawnAt.getTime() + (seconds * 1000));
+
+describe('cardTimers', () => {
+  describe('getCardTimerSeconds', () => {
+    const rules = resolveTimerRules({ enabled: true, durations: { question: 30 } });
+
+    test('should time cards by type, with configured defaults kept', () => {
+      expect(getCardTimerSeconds({ type: 'question' }, rules))
+        .toBe(30);
+      expect(getCardTimerSeconds({ type: 'challenge' }, rules))
+        .toBe(90);
+      expect(getCardTimerSeconds({ type: 'wild' }, rules))
+        .toBeNull();
+    });
+
+    test('should prefer the card\'s estimated response time', () => {
+      expect(getCardTimerSeconds({ type: 'challenge', metadata: { estimatedResponseTime: 45 } }, rules))
+        .toBe(45);
+    });
+
+    test('should not time cards unless the session enables timers', () => {
+      expect(getCardTimerSeconds({ type: 'challenge' }, resolveTimerRules()))
+        .toBeNull();
+    });
+  });
+
+  describe('startCardTimer and finishCardTimer', () => {
+    test('should set a deadline and leave paused time out of the answer time', () => {
+      const timer = startCardTimer({ type: 'scenario' }, resolveTimerRules({ enabled: true }), drawnAt);
+
+      expect(timer.deadline)
+        .toEqual(later(120));
+
+      const finished = finishCardTimer({ ...timer, pausedTime: 20000 }, later(50));
+      expect(finished)
+        .toEqual(expect.objectContaining({ responseTime: 30000, timedOut: false }));
+    });
+
+    test('should track untimed cards without a deadline', () => {
+      const timer = startCardTimer({ type: 'challenge' }, resolveTimerRules(), drawnAt);
+
+      expect(timer.deadline)
+        .toBeNull();
+      expect(hasTimedOut(timer, resolveTimerRules(), later(3600)))
+        .toBe(false);
+    });
+  });
+
+  describe('findTimedOutCards', () => {
+    const session = {
+      timers: resolveTimerRules({ enabled: true, autoSkip: true }),
+      completedCards: ['c2'],
+      skippedCards: [],
+      cardTimers: {
+        c1: { startedAt: drawnAt, deadline: later(90) },
+        c2: { startedAt: drawnAt, deadline: later(90) },
+        c3: { startedAt: drawnAt, deadline: later(120) }
+      }
+    };
+
+    test('should only time out unplayed cards past the grace period', () => {
+      expect(findTimedOutCards(session, later(94)))
+        .toEqual([]);
+      expect(findTimedOutCards(session, later(100)))
+        .toEqual(['c1']);
+    });
+
+    test('should leave timed-out cards alone without auto-skip', () => {
+      const manual = { ...session, timers: resolveTimerRules({ enabled: true }) };
+
+      expect(findTimedOutCards(manual, later(600)))
+        .toEqual([]);
+    });
+  });
+
+  describe('buildTimerResumeUpdates', () => {
+    test('should push back running timers by the pause length', () => {
+      const session = {
+        cardTimers: {
+          c1: { startedAt: drawnAt, deadline: later(90), pausedTime: 0 },
+          c2: { startedAt: drawnAt, deadline: later(90), finishedAt: later(10) }
+        }
+      };
+
+      expect(buildTimerResumeUpdates(session, 60000))
+        .toEqual({
+          'cardTimers.c1': { startedAt: drawnAt, deadline: later(150), pausedTime: 60000 }
+        });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  getSipLimit,
+  countRecentSips,
+  pourSips,
+  summarizePacing
+} = require('../../src/utils/drinking');
+
+const now = new Date('2026-01-01T22:00:00Z');
+const minutesAgo = (minutes) => new Date(now.getTime() - (minutes * 60000));
+
+const drinking = {
+  maxSipsPerHour: 6,
+  hydrationEverySips: 4,
+  hydrationIntervalMinutes: 45,
+  substitute: 'water'
+};
+
+const players = [
+  { userId: 'host', isActive: true },
+  { userId: 'bao', isActive: true, maxSipsPerHour: 0 }
+];
+
+const skipRule = (playerIds, sips) => ({
+  name: 'Skip drinks', event: 'card_skipped', playerIds, sips, points: 0, passTurn: false
+});
+
+describe('drinking safeguards', () => {
+  test('should use the lower of the session and personal caps', () => {
+    expect(getSipLimit(drinking, { maxSipsPerHour: 2 }))
+      .toBe(2);
+    expect(getSipLimit(drinking, {}))
+      .toBe(6);
+  });
+
+  test('should only count sips from the last hour', () => {
+    const entry = { log: [{ at: minutesAgo(90), sips: 5 }, { at: minutesAgo(10), sips: 2 }] };
+
+    expect(countRecentSips(entry, now))
+      .toBe(2);
+  });
+
+  test('should substitute sips over the hourly cap', () => {
+    const session = {
+      drinking,
+      players,
+      startedAt: minutesAgo(20),
+      sipLedger: { host: { sips: 5, sipsSinceBreak: 5, log: [{ at: minutesAgo(5), sips: 5 }] } }
+    };
+
+    const { triggered, updates } = pourSips(session, [skipRule(['host', 'bao'], 3)], now);
+
+    expect(triggered[0].drinks)
+      .toEqual([
+        {
+          playerId: 'host', sips: 1, substitutedSips: 2, substitute: 'water', hydrationBreak: true
+        },
+        {
+          playerId: 'bao', sips: 0, substitutedSips: 3, substitute: 'water', hydrationBreak: false
+        }
+      ]);
+    expect(updates['sipLedger.host'])
+      .toEqual(expect.objectContaining({
+        sips: 6, substitutedSips: 2, hydrationBreaks: 1, sipsSinceBreak: 0
+      }));
+  });
+
+  test('should prompt a hydration break once the interval has passed', () => {
+    const session = { drinking, players, startedAt: minutesAgo(50) };
+
+    const { triggered } = pourSips(session, [skipRule(['host'], 1)], now);
+
+    expect(triggered[0].drinks[0].hydrationBreak)
+      .toBe(true);
+  });
+
+  test('should leave rules without sips untouched', () => {
+    const rule = { ...skipRule(['host'], 0), points: 5 };
+
+    expect(pourSips({ drinking, players }, [rule], now))
+      .toEqual({ triggered: [rule], updates: {} });
+  });
+
+  test('should summarize pacing per player', () => {
+    const session = {
+      drinking,
+      players,
+      sipLedger: { host: { log: [{ at: minutesAgo(30), sips: 4 }] } }
+    };
+
+    expect(summarizePacing(session, now))
+      .toEqual({
+        host: { sipsLastHour: 4, limit: 6, remaining: 2 },
+        bao: { sipsLastHour: 0, limit: 0, remaining: 0 }
+      });
+  });
+});
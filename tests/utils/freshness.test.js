@@ -0,0 +1,67 @@
+const {
+  getGroupHistoryKey,
+  collectSeenCardIds,
+  excludeSeenCards
+} = require('../../src/utils/freshness');
+
+const now = new Date('2026-03-01T00:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - (days * 24 * 60 * 60 * 1000));
+
+const history = {
+  sessions: [
+    { sessionId: 's1', endedAt: daysAgo(60), cardIds: ['a'] },
+    { sessionId: 's2', endedAt: daysAgo(10), cardIds: ['b'] },
+    { sessionId: 's3', endedAt: daysAgo(2), cardIds: ['c', 'd'] }
+  ]
+};
+
+describe('freshness', () => {
+  describe('getGroupHistoryKey', () => {
+    test('should not depend on seat order', () => {
+      expect(getGroupHistoryKey(['bao', 'alex', 'chi']))
+        .toBe(getGroupHistoryKey(['chi', 'bao', 'alex']));
+      expect(getGroupHistoryKey(['bao', 'alex']))
+        .not.toBe(getGroupHistoryKey(['bao', 'chi']));
+    });
+  });
+
+  describe('collectSeenCardIds', () => {
+    test('should limit by number of sessions and by age', () => {
+      const rules = { mode: 'exclude', lookbackSessions: 2, lookbackDays: 0 };
+
+      expect(collectSeenCardIds([history], rules, now))
+        .toEqual(['b', 'c', 'd']);
+      expect(collectSeenCardIds([history], { ...rules, lookbackSessions: 5, lookbackDays: 7 }, now))
+        .toEqual(['c', 'd']);
+    });
+
+    test('should merge histories and skip missing ones', () => {
+      const rules = { mode: 'deprioritize', lookbackSessions: 1, lookbackDays: 0 };
+      const other = { sessions: [{ endedAt: daysAgo(1), cardIds: ['c', 'e'] }] };
+
+      expect(collectSeenCardIds([history, null, other], rules, now))
+        .toEqual(['c', 'd', 'e']);
+    });
+
+    test('should return nothing when freshness is off', () => {
+      expect(collectSeenCardIds([history], { mode: 'off', lookbackSessions: 5 }, now))
+        .toEqual([]);
+    });
+  });
+
+  describe('excludeSeenCards', () => {
+    const cards = [{ id: 'a' }, { id: 'b' }];
+
+    test('should drop seen cards in exclude mode only', () => {
+      expect(excludeSeenCards(cards, { mode: 'exclude' }, ['a']))
+        .toEqual([{ id: 'b' }]);
+      expect(excludeSeenCards(cards, { mode: 'deprioritize' }, ['a']))
+        .toBe(cards);
+    });
+
+    test('should keep every card when all of them were seen', () => {
+      expect(excludeSeenCards(cards, { mode: 'exclude' }, ['a', 'b']))
+        .toBe(cards);
+    });
+  });
+});
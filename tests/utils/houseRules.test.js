@@ -0,0 +1,120 @@
+const {
+  resolveHouseRules,
+  matchesHouseRule,
+  applyHouseRules
+} = require('../../src/utils/houseRules');
+
+const players = [
+  {
+    userId: 'host', displayName: 'Host', points: 10, isActive: true
+  },
+  {
+    userId: 'alex', displayName: 'Alex', points: 10, isActive: false
+  },
+  {
+    userId: 'bao', displayName: 'Bao', points: 10, isActive: true
+  },
+  {
+    userId: 'chi', displayName: 'Chi', points: 10, isActive: true
+  }
+];
+
+const rule = (overrides) => ({
+  name: 'Rule',
+  on: 'card_skipped',
+  when: {},
+  target: 'player',
+  sips: 0,
+  points: 0,
+  passTurn: false,
+  ...overrides
+});
+
+describe('houseRules', () => {
+  describe('resolveHouseRules', () => {
+    const presets = [{ name: 'Friday', rules: [rule({ name: 'Skip drinks', sips: 2 })] }];
+
+    test('should prefer inline rules over a preset', () => {
+      const inline = [rule({ name: 'Inline' })];
+
+      expect(resolveHouseRules({ preset: 'Friday', rules: inline }, presets))
+        .toBe(inline);
+    });
+
+    test('should load a preset by name and return null when it is missing', () => {
+      expect(resolveHouseRules({ preset: 'Friday', rules: [] }, presets))
+        .toBe(presets[0].rules);
+      expect(resolveHouseRules({ preset: 'Saturday' }, presets))
+        .toBeNull();
+      expect(resolveHouseRules(undefined, presets))
+        .toEqual([]);
+    });
+  });
+
+  describe('matchesHouseRule', () => {
+    test('should match on event, card type and level', () => {
+      const wild = rule({ on: 'card_drawn', when: { cardTypes: ['wild'], levels: [2, 3] } });
+
+      expect(matchesHouseRule(wild, { type: 'card_drawn', cardType: 'wild', level: 2 }))
+        .toBe(true);
+      expect(matchesHouseRule(wild, { type: 'card_drawn', cardType: 'question', level: 2 }))
+        .toBe(false);
+      expect(matchesHouseRule(wild, { type: 'card_drawn', cardType: 'wild', level: 4 }))
+        .toBe(false);
+      expect(matchesHouseRule(wild, { type: 'card_skipped', cardType: 'wild', level: 2 }))
+        .toBe(false);
+    });
+  });
+
+  describe('applyHouseRules', () => {
+    test('should report no rules and no updates when nothing fires', () => {
+      expect(applyHouseRules({ players, houseRules: [rule()] }, { type: 'level_up', level: 2 }))
+        .toEqual({ triggered: [], updates: {} });
+    });
+
+    test('should give sips and points to the targeted active players', () => {
+      const session = {
+        players,
+        houseRules: [
+          rule({ name: 'Skip drinks', sips: 2 }),
+          rule({ name: 'Others gloat', target: 'others', points: 5 })
+        ]
+      };
+
+      const { triggered, updates } = applyHouseRules(session, {
+        type: 'card_skipped',
+        playerId: 'bao',
+        cardId: 'c1'
+      });
+
+      expect(triggered)
+        .toEqual([
+          expect.objectContaining({ name: 'Skip drinks', playerIds: ['bao'], sips: 2 }),
+          expect.objectContaining({ name: 'Others gloat', playerIds: ['host', 'chi'], points: 5 })
+        ]);
+      expect(updates.players.map((p) => p.points))
+        .toEqual([15, 10, 10, 15]);
+      expect(updates.currentPlayerId)
+        .toBeUndefined();
+    });
+
+    test('should pass a drawn card to the next active player', () => {
+      const session = {
+        players,
+        configuration: { turnOrder: 'sequential' },
+        houseRules: [rule({ on: 'card_drawn', when: { cardTypes: ['wild'] }, passTurn: true })]
+      };
+
+      const { updates } = applyHouseRules(session, {
+        type: 'card_drawn',
+        playerId: 'host',
+        cardId: 'c9',
+        cardType: 'wild',
+        level: 1
+      });
+
+      expect(updates)
+        .toEqual({ currentPlayerId: 'bao', 'cardAssignments.c9': 'bao' });
+    });
+  });
+});
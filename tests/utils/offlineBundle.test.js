@@ -0,0 +1,127 @@
+const {
+  canonicalize,
+  signOfflineBundle,
+  signaturesMatch,
+  buildOfflineBundle,
+  acceptsSync,
+  orderOfflineEvents
+} = require('../../src/utils/offlineBundle');
+
+const session = {
+  id: 's1',
+  status: 'active',
+  language: 'vn',
+  currentLevel: 2,
+  currentPlayerId: 'host',
+  drawnCards: ['c0'],
+  players: [
+    {
+      userId: 'host', displayName: 'Host', points: 15, isActive: true
+    },
+    { userId: 'bao', displayName: 'Bao', isActive: true }
+  ],
+  houseRules: [{
+    name: 'Skip drinks', on: 'card_skipped', target: 'player', sips: 2
+  }],
+  configuration: { soberMode: true, turnOrder: 'random' }
+};
+
+const cards = [
+  {
+    id: 'c1',
+    type: 'question',
+    connectionLevel: 1,
+    content: { en: 'Drink if you...', vn: 'Uống nếu...' },
+    soberContent: { en: 'Clap if you...', vn: 'Vỗ tay nếu...' },
+    involvesDrinking: true
+  },
+  {
+    id: 'c2', type: 'challenge', connectionLevel: 3, content: { en: 'Dance', vn: 'Nhảy' }
+  }
+];
+
+describe('offlineBundle', () => {
+  describe('buildOfflineBundle', () => {
+    const now = new Date('2026-01-01T20:00:00Z');
+    const bundle = buildOfflineBundle(session, cards, { mode: 'cards', cardsPerLevel: 5 }, now);
+
+    test('should bucket the cards by level with text in the session language', () => {
+      expect(bundle.cardPool['1'])
+        .toEqual([{
+          id: 'c1',
+          type: 'question',
+          connectionLevel: 1,
+          points: 10,
+          timerSeconds: null,
+          content: 'Vỗ tay nếu...'
+        }]);
+      expect(bundle.cardPool['3'][0].content)
+        .toBe('Nhảy');
+      expect(bundle.cardPool['4'])
+        .toEqual([]);
+    });
+
+    test('should carry the table state and the rules', () => {
+      expect(bundle.state.players.map((player) => player.connectionLevel))
+        .toEqual([2, 2]);
+      expect(bundle.rules)
+        .toEqual(expect.objectContaining({
+          turnOrder: 'random',
+          soberMode: true,
+          progression: { mode: 'cards', cardsPerLevel: 5 },
+          houseRules: session.houseRules
+        }));
+      expect(bundle.expiresAt.getTime())
+        .toBe(now.getTime() + (24 * 60 * 60 * 1000));
+    });
+  });
+
+  describe('signing', () => {
+    test('should sign independently of key order and date representation', () => {
+      const at = new Date('2026-01-01T20:00:00Z');
+      const signature = signOfflineBundle({ a: 1, b: { at, list: [1, 2] } });
+
+      expect(signOfflineBundle({ b: { list: [1, 2], at: at.toISOString() }, a: 1 }))
+        .toBe(signature);
+      expect(signOfflineBundle({ a: 2, b: { at, list: [1, 2] } }))
+        .not.toBe(signature);
+      expect(canonicalize({ b: undefined, a: [undefined] }))
+        .toBe('{"a":[null]}');
+    });
+
+    test('should only match identical signatures', () => {
+      const signature = signOfflineBundle({ id: 'b1' });
+
+      expect(signaturesMatch(signature, signature))
+        .toBe(true);
+      expect(signaturesMatch(signature.replace(/.$/, '0'), signature.replace(/.$/, '1')))
+        .toBe(false);
+      expect(signaturesMatch(undefined, signature))
+        .toBe(false);
+    });
+  });
+
+  describe('acceptsSync', () => {
+    test('should accept syncs until the grace period after expiry', () => {
+      const bundle = { expiresAt: new Date('2026-01-02T00:00:00Z') };
+
+      expect(acceptsSync(bundle, new Date('2026-01-03T23:00:00Z')))
+        .toBe(true);
+      expect(acceptsSync(bundle, new Date('2026-01-04T01:00:00Z')))
+        .toBe(false);
+    });
+  });
+
+  describe('orderOfflineEvents', () => {
+    test('should order events by time and keep the log order for ties', () => {
+      const events = [
+        { eventId: 'e3', occurredAt: '2026-01-01T20:05:00Z' },
+        { eventId: 'e1', occurredAt: '2026-01-01T20:01:00Z' },
+        { eventId: 'e2', occurredAt: '2026-01-01T20:01:00Z' }
+      ];
+
+      expect(orderOfflineEvents(events).map((event) => event.eventId))
+        .toEqual(['e1', 'e2', 'e3']);
+    });
+  });
+});
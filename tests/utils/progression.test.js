@@ -0,0 +1,117 @@
+const {
+  resolveProgressionRules,
+  calculateTargetLevel,
+  getTurnLevel,
+  calculatePlayerTargetLevel,
+  buildLevelProgressionUpdates
+} = require('../../src/utils/progression');
+
+const cardsRules = {
+  mode: 'cards',
+  cardsPerLevel: 3,
+  minutesPerLevel: 10,
+  countSkips: false,
+  allowHostLevelUp: true
+};
+
+describe('progression', () => {
+  describe('resolveProgressionRules', () => {
+    test('should layer defaults, deck and session rules', () => {
+      const decks = [
+        { features: { customProgression: false }, progression: { cardsPerLevel: 99 } },
+        {
+          features: { customProgression: true },
+          progression: { cardsPerLevel: 8, countSkips: true }
+        }
+      ];
+      const rules = resolveProgressionRules(decks, { countSkips: false });
+
+      expect(rules)
+        .toEqual(expect.objectContaining({
+          mode: 'cards',
+          cardsPerLevel: 8,
+          countSkips: false
+        }));
+    });
+  });
+
+  describe('calculateTargetLevel', () => {
+    const session = {
+      currentLevel: 1,
+      completedCards: ['a', 'b'],
+      skippedCards: ['c']
+    };
+
+    test('should only count skips when configured', () => {
+      expect(calculateTargetLevel(session, cardsRules))
+        .toBe(1);
+      expect(calculateTargetLevel(session, { ...cardsRules, countSkips: true }))
+        .toBe(2);
+    });
+
+    test('should progress on active play time in time mode', () => {
+      const now = new Date();
+      const timed = {
+        currentLevel: 1,
+        startedAt: new Date(now.getTime() - (25 * 60000)),
+        analytics: { pauseDuration: 5 * 60000 }
+      };
+
+      expect(calculateTargetLevel(timed, { ...cardsRules, mode: 'time' }, now))
+        .toBe(3);
+    });
+
+    test('should never lower or exceed levels', () => {
+      expect(calculateTargetLevel({ ...session, currentLevel: 3 }, cardsRules))
+        .toBe(3);
+      expect(calculateTargetLevel({ currentLevel: 1, completedCards: new Array(40) }, cardsRules))
+        .toBe(4);
+      expect(calculateTargetLevel(
+        { ...session, completedCards: new Array(9) },
+        { ...cardsRules, mode: 'manual' }
+      ))
+        .toBe(1);
+    });
+  });
+
+  describe('buildLevelProgressionUpdates', () => {
+    test('should record every level that was reached', () => {
+      const updates = buildLevelProgressionUpdates({ currentLevel: 1, startedAt: new Date() }, 3);
+
+      expect(Object.keys(updates))
+        .toEqual(['analytics.levelProgressionTime.2', 'analytics.levelProgressionTime.3']);
+    });
+  });
+
+  describe('per-player levels', () => {
+    const session = {
+      currentLevel: 3,
+      configuration: { levelMode: 'player' },
+      players: [
+        { userId: 'ana', connectionLevel: 3 },
+        { userId: 'bo', connectionLevel: 1 }
+      ],
+      completedCards: ['c1', 'c2', 'c3', 'c4'],
+      skippedCards: [],
+      cardAssignments: {
+        c1: 'bo', c2: 'bo', c3: 'bo', c4: 'ana'
+      }
+    };
+
+    test('should draw at the player\'s own level, or the lower one of a pair', () => {
+      expect(getTurnLevel(session, 'ana'))
+        .toBe(3);
+      expect(getTurnLevel(session, 'ana', 'bo'))
+        .toBe(1);
+      expect(getTurnLevel({ ...session, configuration: {} }, 'bo'))
+        .toBe(3);
+    });
+
+    test('should only count the player\'s own cards', () => {
+      expect(calculatePlayerTargetLevel(session, cardsRules, 'bo'))
+        .toBe(2);
+      expect(calculatePlayerTargetLevel(session, cardsRules, 'ana'))
+        .toBe(3);
+    });
+  });
+});
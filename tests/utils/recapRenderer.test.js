@@ -0,0 +1,102 @@
+const {
+  buildRecap,
+  toPublicRecap,
+  renderMarkdown,
+  renderHtml,
+  formatDuration
+} = require('../../src/utils/recapRenderer');
+
+const startedAt = new Date('2026-02-14T20:00:00Z');
+
+const session = {
+  id: 'session-1',
+  relationshipType: 'friends',
+  language: 'vn',
+  status: 'completed',
+  currentLevel: 2,
+  startedAt,
+  endedAt: new Date(startedAt.getTime() + (45 * 60000)),
+  drawnCards: ['c1', 'c2', 'c3'],
+  completedCards: ['c1'],
+  skippedCards: ['c2'],
+  cardAssignments: { c1: 'host', c2: 'bao', c3: 'host' },
+  players: [
+    {
+      userId: 'host', displayName: 'Host', points: 10, isActive: true
+    },
+    {
+      userId: 'bao', displayName: '<Bao>', points: 0, isActive: true
+    }
+  ],
+  analytics: { pauseDuration: 5 * 60000, levelProgressionTime: { 2: 20 * 60000 } }
+};
+
+const cards = [
+  { type: 'question', connectionLevel: 1, content: { en: 'First question', vn: 'Câu hỏi đầu tiên' } },
+  { type: 'challenge', connectionLevel: 1, content: { en: 'A challenge' } },
+  null
+];
+
+describe('recapRenderer', () => {
+  describe('buildRecap', () => {
+    const recap = buildRecap(session, cards);
+
+    test('should list cards in the session language with outcomes', () => {
+      expect(recap.cards.map((card) => [card.content, card.outcome, card.playerName]))
+        .toEqual([
+          ['Câu hỏi đầu tiên', 'completed', 'Host'],
+          ['A challenge', 'skipped', '<Bao>'],
+          [null, 'drawn', 'Host']
+        ]);
+    });
+
+    test('should report active duration, levels and highlights', () => {
+      expect(recap.duration)
+        .toBe(40 * 60000);
+      expect(recap.levelProgression)
+        .toEqual([{ level: 2, reachedAfter: 20 * 60000 }]);
+      expect(recap.highlights.topScorer.displayName)
+        .toBe('Host');
+      expect(recap.highlights.mostSkipped.displayName)
+        .toBe('<Bao>');
+    });
+
+    test('should strip user IDs from public recaps', () => {
+      const publicRecap = toPublicRecap(recap);
+
+      expect(JSON.stringify(publicRecap))
+        .not.toMatch(/"userId"|"playerId"/);
+    });
+  });
+
+  describe('renderers', () => {
+    const recap = buildRecap(session, cards);
+
+    test('should render Markdown with players and cards', () => {
+      const markdown = renderMarkdown(recap);
+
+      expect(markdown)
+        .toContain('| 1 | Host | 10 | 1 | 0 |');
+      expect(markdown)
+        .toContain('2. [skipped] A challenge (<Bao>)');
+    });
+
+    test('should escape user content in HTML', () => {
+      const html = renderHtml(recap);
+
+      expect(html)
+        .toContain('&lt;Bao&gt;');
+      expect(html)
+        .not.toContain('<Bao>');
+    });
+  });
+
+  describe('formatDuration', () => {
+    test('should format minutes and hours', () => {
+      expect(formatDuration(90500))
+        .toBe('1m 31s');
+      expect(formatDuration(3900000))
+        .toBe('1h 05m');
+    });
+  });
+});
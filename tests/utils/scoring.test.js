@@ -0,0 +1,170 @@
+const {
+  calculateCardPoints,
+  applyPoints,
+  calculateStandings,
+  determineGameResult
+} = require('../../src/utils/scoring');
+
+const scoring = {
+  typePoints: {
+    question: 10,
+    challenge: 15,
+    scenario: 15,
+    connection: 20,
+    wild: 10
+  },
+  levelMultiplier: {
+    1: 1,
+    2: 1.5,
+    3: 2,
+    4: 3
+  },
+  skipPenalty: 5,
+  collaborativeTarget: 100
+};
+
+const players = [
+  {
+    userId: 'host', displayName: 'Host', points: 30, isActive: true
+  },
+  {
+    userId: 'guest-a', displayName: 'Alex', points: 45, isActive: true
+  },
+  {
+    userId: 'guest-b', displayName: 'Bao', points: 10, isActive: false
+  }
+];
+
+describe('scoring', () => {
+  describe('calculateCardPoints', () => {
+    test('should weight type points by connection level', () => {
+      expect(calculateCardPoints({ type: 'question', connectionLevel: 1 }, scoring))
+        .toBe(10);
+      expect(calculateCardPoints({ type: 'challenge', connectionLevel: 2 }, scoring))
+        .toBe(23); // 15 * 1.5 rounded
+      expect(calculateCardPoints({ type: 'connection', connectionLevel: 4 }, scoring))
+        .toBe(60);
+    });
+
+    test('should fall back to question points for unknown types', () => {
+      expect(calculateCardPoints({ type: 'legacy', connectionLevel: 1 }, scoring))
+        .toBe(10);
+    });
+  });
+
+  describe('applyPoints', () => {
+    test('should only change the target player', () => {
+      const result = applyPoints(players, 'host', 15);
+
+      expect(result[0].points)
+        .toBe(45);
+      expect(result[1])
+        .toBe(players[1]);
+    });
+
+    test('should never drop below zero', () => {
+      const result = applyPoints(players, 'guest-b', -50);
+
+      expect(result[2].points)
+        .toBe(0);
+    });
+  });
+
+  describe('calculateStandings', () => {
+    test('should rank players by points and share ranks on ties', () => {
+      const standings = calculateStandings([
+        ...players,
+        {
+          userId: 'guest-c', displayName: 'Chi', points: 30, isActive: true
+        }
+      ]);
+
+      expect(standings.map((s) => [s.userId, s.rank]))
+        .toEqual([
+          ['guest-a', 1],
+          ['host', 2],
+          ['guest-c', 2],
+          ['guest-b', 4]
+        ]);
+    });
+  });
+
+  describe('determineGameResult', () => {
+    test('should pick the highest scorer for highest_points', () => {
+      const result = determineGameResult({
+        players,
+        currentLevel: 2,
+        configuration: { winCondition: 'highest_points' }
+      }, scoring);
+
+      expect(result.winner.userId)
+        .toBe('guest-a');
+      expect(result.isTie)
+        .toBe(false);
+    });
+
+    test('should report ties for highest_points', () => {
+      const result = determineGameResult({
+        players: applyPoints(players, 'host', 15),
+        currentLevel: 2,
+        configuration: { winCondition: 'highest_points' }
+      }, scoring);
+
+      expect(result.winner)
+        .toBeNull();
+      expect(result.isTie)
+        .toBe(true);
+      expect(result.winners)
+        .toHaveLength(2);
+    });
+
+    test('should compare team score to the target for collaborative', () => {
+      const lost = determineGameResult({
+        players,
+        currentLevel: 2,
+        configuration: { winCondition: 'collaborative' }
+      }, scoring);
+      const won = determineGameResult({
+        players,
+        currentLevel: 2,
+        configuration: { winCondition: 'collaborative', collaborativeTarget: 80 }
+      }, scoring);
+
+      expect(lost.teamScore)
+        .toBe(85);
+      expect(lost.achieved)
+        .toBe(false);
+      expect(won.achieved)
+        .toBe(true);
+      expect(won.winners)
+        .toHaveLength(3);
+    });
+
+    test('should credit the player who unlocked level 4 for first_to_level_4', () => {
+      const result = determineGameResult({
+        players,
+        currentLevel: 4,
+        configuration: {},
+        firstToMaxLevel: { playerId: 'host', reachedAt: new Date() }
+      }, scoring);
+
+      expect(result.winCondition)
+        .toBe('first_to_level_4');
+      expect(result.winner.userId)
+        .toBe('host');
+    });
+
+    test('should have no winner when level 4 was never reached', () => {
+      const result = determineGameResult({
+        players,
+        currentLevel: 3,
+        configuration: { winCondition: 'first_to_level_4' }
+      }, scoring);
+
+      expect(result.winner)
+        .toBeNull();
+      expect(result.standings)
+        .toHaveLength(3);
+    });
+  });
+});